@@ -0,0 +1,121 @@
+/**
+ * Backfill Module
+ * Walks an existing chat history in chunks so older messages get summarized too
+ */
+
+import { getContext } from '../../../extensions.js';
+import { getChatState, saveChatState } from './chat-state.js';
+
+let backfillRunning = false;
+
+/**
+ * @typedef {object} BackfillState
+ * @property {number} start - First message index of the backfill
+ * @property {number} end - Last message index of the backfill
+ * @property {number} next - First message index of the next chunk
+ * @property {number} chunkSize - Number of messages per chunk
+ */
+
+/**
+ * Get the backfill of the current chat that hasn't finished yet
+ * @returns {BackfillState|null} - Backfill state, or null if there is none
+ */
+export function getBackfillState() {
+    return getChatState().backfill || null;
+}
+
+/**
+ * Check whether a backfill is running right now
+ * @returns {boolean} - Whether a backfill is running
+ */
+export function isBackfillRunning() {
+    return backfillRunning;
+}
+
+/**
+ * Start a new backfill of the current chat, replacing any unfinished one
+ * @param {number} start - First message index
+ * @param {number} end - Last message index
+ * @param {number} chunkSize - Number of messages per chunk
+ * @returns {BackfillState} - New backfill state
+ */
+export function createBackfill(start, end, chunkSize) {
+    const chatLength = getContext().chat?.length || 0;
+    const state = {
+        start: Math.max(0, start),
+        end: Math.min(end, chatLength - 1),
+        next: Math.max(0, start),
+        chunkSize: Math.max(1, chunkSize),
+    };
+
+    getChatState().backfill = state;
+    saveChatState();
+    return state;
+}
+
+/**
+ * Forget the unfinished backfill of the current chat
+ */
+export function clearBackfill() {
+    delete getChatState().backfill;
+    saveChatState();
+}
+
+/**
+ * Get the progress of a backfill
+ * @param {BackfillState} state - Backfill state
+ * @returns {{done: number, total: number}} - Finished and total chunk counts
+ */
+export function getBackfillProgress(state) {
+    const total = Math.ceil((state.end - state.start + 1) / state.chunkSize);
+    const done = Math.ceil((state.next - state.start) / state.chunkSize);
+    return { done: Math.min(done, total), total };
+}
+
+/**
+ * Summarize the chunks of the current chat's backfill in order, starting where it stopped.
+ * Stops when cancelled or when the user switches to another chat; progress is kept for resuming.
+ * @param {(range: {start: number, end: number}) => Promise<void>} summarizeChunk - Summarizes and stores one chunk
+ * @param {(state: BackfillState) => void} [onProgress] - Called before each chunk
+ * @param {AbortSignal} [signal] - Stops the backfill when aborted, a chunk in progress is abandoned
+ * @returns {Promise<'completed'|'cancelled'|'interrupted'>} - How the backfill ended
+ */
+export async function runBackfill(summarizeChunk, onProgress = () => {}, signal = null) {
+    const state = getBackfillState();
+
+    if (!state || backfillRunning) {
+        return 'interrupted';
+    }
+
+    const chatId = getContext().getCurrentChatId();
+    backfillRunning = true;
+
+    try {
+        while (state.next <= state.end) {
+            if (signal?.aborted) {
+                return 'cancelled';
+            }
+
+            if (getContext().getCurrentChatId() !== chatId) {
+                return 'interrupted';
+            }
+
+            onProgress(state);
+
+            const range = { start: state.next, end: Math.min(state.end, state.next + state.chunkSize - 1) };
+            await summarizeChunk(range);
+
+            if (getContext().getCurrentChatId() !== chatId) {
+                return 'interrupted';
+            }
+
+            state.next = range.end + 1;
+            saveChatState();
+        }
+
+        clearBackfill();
+        return 'completed';
+    } finally {
+        backfillRunning = false;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Chat State Module
+ * Keeps per-chat extension state, such as the summarization cursor, in the chat metadata
+ */
+
+import { getContext, saveMetadataDebounced } from '../../../extensions.js';
+import { memoryDataKey } from './script.js';
+
+// Cursors of chats that were left while they were being summarized
+const PENDING_CURSORS_KEY = 'character_memory_manager_cursors';
+
+/**
+ * Get the extension state of the current chat, creating it if needed
+ * @returns {object} - The live state object stored in the chat metadata
+ */
+export function getChatState() {
+    const metadata = getContext().chatMetadata;
+
+    if (!metadata[memoryDataKey]) {
+        metadata[memoryDataKey] = {
+            lastSummarizedIndex: null,
+        };
+    }
+
+    return metadata[memoryDataKey];
+}
+
+/**
+ * Save the chat metadata holding the extension state
+ */
+export function saveChatState() {
+    if (getContext().getCurrentChatId()) {
+        saveMetadataDebounced();
+    }
+}
+
+/**
+ * Get the index of the last summarized message in the current chat.
+ * Chats seen for the first time start one summarization window before their end,
+ * older history is left to a backfill.
+ * @param {number} windowSize - Number of messages per summarization window
+ * @returns {number} - Index of the last summarized message, -1 if none
+ */
+export function getSummarizationCursor(windowSize) {
+    const state = getChatState();
+    const chatLength = getContext().chat?.length || 0;
+
+    if (typeof state.lastSummarizedIndex !== 'number') {
+        state.lastSummarizedIndex = Math.max(0, chatLength - windowSize) - 1;
+        saveChatState();
+    }
+
+    // Messages may have been deleted since the last run
+    return Math.min(state.lastSummarizedIndex, chatLength - 1);
+}
+
+/**
+ * Move the summarization cursor of the current chat
+ * @param {number} index - Index of the last summarized message
+ */
+export function setSummarizationCursor(index) {
+    getChatState().lastSummarizedIndex = index;
+    saveChatState();
+}
+
+/**
+ * Load the cursors waiting for chats that were left while they were being summarized
+ * @returns {Object<string, number>} - Index of the last summarized message, keyed by chat ID
+ */
+function loadPendingCursors() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PENDING_CURSORS_KEY) || '{}');
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.warn('Memory Manager: Could not load the pending summarization cursors', error);
+        return {};
+    }
+}
+
+/**
+ * Save the cursors waiting for chats that were left
+ * @param {Object<string, number>} cursors - Index of the last summarized message, keyed by chat ID
+ */
+function savePendingCursors(cursors) {
+    try {
+        if (Object.keys(cursors).length > 0) {
+            localStorage.setItem(PENDING_CURSORS_KEY, JSON.stringify(cursors));
+        } else {
+            localStorage.removeItem(PENDING_CURSORS_KEY);
+        }
+    } catch (error) {
+        console.warn('Memory Manager: Could not save the pending summarization cursors', error);
+    }
+}
+
+/**
+ * Move the summarization cursor of a chat. The metadata of a chat that is no longer open can't be saved,
+ * so its cursor is kept aside and moved when the chat is opened again, see applyPendingCursor.
+ * @param {string} chatId - Chat the messages were summarized in
+ * @param {number} index - Index of the last summarized message
+ */
+export function saveSummarizationCursor(chatId, index) {
+    if (getContext().getCurrentChatId() === chatId) {
+        setSummarizationCursor(index);
+        return;
+    }
+
+    const cursors = loadPendingCursors();
+    cursors[chatId] = Math.max(cursors[chatId] ?? -1, index);
+    savePendingCursors(cursors);
+    console.log(`Memory Manager: Chat changed during summarization, cursor of ${chatId} is moved when it's opened again`);
+}
+
+/**
+ * Move the cursor of the opened chat past the messages summarized while it wasn't open
+ */
+export function applyPendingCursor() {
+    const chatId = getContext().getCurrentChatId();
+    const cursors = loadPendingCursors();
+
+    if (!chatId || cursors[chatId] === undefined) {
+        return;
+    }
+
+    const state = getChatState();
+    state.lastSummarizedIndex = Math.max(typeof state.lastSummarizedIndex === 'number' ? state.lastSummarizedIndex : -1, cursors[chatId]);
+    saveChatState();
+
+    delete cursors[chatId];
+    savePendingCursors(cursors);
+}
+
+/**
+ * Move the summarization cursor back to the end of the chat after messages were deleted
+ */
+export function clampSummarizationCursor() {
+    const state = getChatState();
+    const chatLength = getContext().chat?.length || 0;
+
+    if (typeof state.lastSummarizedIndex === 'number' && state.lastSummarizedIndex > chatLength - 1) {
+        state.lastSummarizedIndex = chatLength - 1;
+        saveChatState();
+    }
+}
+
+/**
+ * Get the range of messages in the current chat that have not been summarized yet
+ * @param {number} windowSize - Number of messages per summarization window
+ * @returns {{start: number, end: number}|null} - Inclusive message range, or null if everything is summarized
+ */
+export function getUnsummarizedRange(windowSize) {
+    const chatLength = getContext().chat?.length || 0;
+    const start = getSummarizationCursor(windowSize) + 1;
+
+    if (start >= chatLength) {
+        return null;
+    }
+
+    return { start, end: chatLength - 1 };
+}
@@ -0,0 +1,104 @@
+/**
+ * Consolidation Service
+ * Compacts older memories into a short canonical summary when they outgrow the token budget
+ */
+
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { getMemoryStore, getActiveMemories, getOwnerName, createMemoryRecord, renderMemoryNotes, snapshotMemoryStore } from './memory-store.js';
+import { commitMemories, splitSummaryItems } from './memory-manager.js';
+import { generateText } from './summarization-service.js';
+
+/**
+ * Count the tokens of the rendered memory text of a character or group
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {Promise<number>} - Token count
+ */
+export async function getMemoryTokenCount(owner) {
+    const memories = getActiveMemories(owner);
+    return memories.length > 0 ? await getTokenCountAsync(renderMemoryNotes(memories)) : 0;
+}
+
+/**
+ * Check whether the memories of a character or group exceed the token budget
+ * @param {string} owner - Character avatar or group memory key
+ * @param {number} tokenBudget - Token budget, 0 disables the check
+ * @returns {Promise<boolean>} - Whether the memories should be consolidated
+ */
+export async function needsConsolidation(owner, tokenBudget) {
+    if (!tokenBudget || tokenBudget <= 0) {
+        return false;
+    }
+
+    return await getMemoryTokenCount(owner) > tokenBudget;
+}
+
+/**
+ * Merge the older memories of a character or group into a compact summary.
+ * The most recent and the pinned memories are kept verbatim and a snapshot is taken before anything changes.
+ * @param {string} owner - Character avatar or group memory key
+ * @param {object} options - Consolidation options
+ * @param {number} options.keepRecent - Number of most recent memories to keep as they are
+ * @param {string} options.promptTemplate - Consolidation prompt, {{char}} is replaced with the owner name
+ * @param {import('./model-providers.js').ModelOptions} [options.modelOptions] - Which model to use and how
+ * @returns {Promise<{before: number, after: number}>} - Number of older memories before and after consolidation
+ */
+export async function consolidateMemories(owner, { keepRecent, promptTemplate, modelOptions = {} }) {
+    const store = getMemoryStore(owner);
+
+    if (!store) {
+        throw new Error(`Memory owner ${owner} not found`);
+    }
+
+    const splitIndex = Math.max(0, store.memories.length - Math.max(0, keepRecent));
+    // Pinned memories are kept as they are
+    const olderMemories = store.memories.slice(0, splitIndex).filter(memory => !memory.pinned);
+    // Superseded memories are no longer true and are dropped with the rest
+    const currentOlderMemories = olderMemories.filter(memory => !memory.supersededBy);
+
+    if (currentOlderMemories.length < 2) {
+        return { before: olderMemories.length, after: olderMemories.length };
+    }
+
+    const systemMessage = promptTemplate.replace(/{{char}}/g, getOwnerName(owner));
+    const memoryText = currentOlderMemories.map(memory => `• ${memory.text}`).join('\n');
+    const response = await generateText(systemMessage, memoryText, modelOptions);
+    const items = splitSummaryItems(response);
+
+    if (items.length === 0) {
+        throw new Error('The model returned no consolidated memories');
+    }
+
+    // Memories may have been added, edited or removed while the model answered,
+    // so the replaced memories are looked up by ID rather than by position
+    const replacedIds = new Set(olderMemories.map(memory => memory.id));
+    const firstReplaced = store.memories.findIndex(memory => replacedIds.has(memory.id));
+
+    if (firstReplaced === -1) {
+        return { before: 0, after: 0 };
+    }
+
+    snapshotMemoryStore(owner, 'consolidation', { backup: true });
+
+    // Date the summary by the newest memory it replaces so it stays in front of the recent ones
+    const createdAt = olderMemories[olderMemories.length - 1].createdAt;
+    const consolidated = items.map(item => createMemoryRecord(item, { characterAvatar: owner, category: 'summary', createdAt }));
+
+    store.memories = [
+        ...store.memories.slice(0, firstReplaced),
+        ...consolidated,
+        ...store.memories.slice(firstReplaced).filter(memory => !replacedIds.has(memory.id)),
+    ];
+
+    // The newer memory that outdated a kept one is now part of the summary, which doesn't say which one it was
+    store.memories
+        .filter(memory => replacedIds.has(memory.supersededBy))
+        .forEach(memory => {
+            delete memory.supersededBy;
+            delete memory.supersededAt;
+        });
+
+    await commitMemories(owner);
+
+    console.log(`Memory Manager: Consolidated ${olderMemories.length} memories of ${owner} into ${consolidated.length}`);
+    return { before: olderMemories.length, after: consolidated.length };
+}
@@ -0,0 +1,207 @@
+/**
+ * Contradiction Detection Module
+ * Finds existing memories that new memories contradict or make outdated
+ */
+
+import { extractJson } from './structured-output.js';
+import { generateText } from './summarization-service.js';
+import { tokenize, textSimilarity } from './similarity.js';
+import { extractNames } from './script.js';
+
+// Most existing memories shown to the judge model at once
+const MAX_JUDGE_CANDIDATES = 30;
+
+// Words that turn around the statement made by the word after them
+const NEGATIONS = /\b(no longer|stopped|used to|gave up|not|never|isn't|aren't|wasn't|weren't|doesn't|don't|didn't|can't|cannot|won't)\b/i;
+
+// Explicit changes of state, and the words of the states they end
+const STATE_CHANGES = [
+    {
+        cue: /\b(broke up|split up|divorced|separated)\b/i,
+        ends: /\b(dating|together|married|engaged|couple|lovers?|relationship|boyfriend|girlfriend|husband|wife|partners?)\b/i,
+    },
+    {
+        cue: /\b(sold|lost|destroyed|gave away|threw away)\b/i,
+        ends: /\b(has|have|owns?|carries|wears?|keeps?)\b/i,
+    },
+    {
+        cue: /\b(quit|resigned|retired|was fired)\b/i,
+        ends: /\b(works?|working|job|employed|serves?)\b/i,
+    },
+];
+
+const JUDGE_PROMPT = `You maintain the memories of {{char}} in an ongoing story. For each new memory, list the existing memories it contradicts or makes outdated because the situation changed, for example a relationship ended, someone moved or an item was lost. Memories that only add detail are not outdated.
+Respond only with a JSON object, without any text around it, in this shape:
+{"outdated": [{"new": <number of the new memory>, "old": [<numbers of the existing memories>]}]}
+Use an empty array if nothing is outdated.`;
+
+/**
+ * @typedef {object} Contradiction
+ * @property {string} newId - ID of the new memory
+ * @property {string} oldId - ID of the existing memory it replaces
+ * @property {'model'|'heuristic'} method - How the contradiction was found
+ */
+
+/**
+ * Check whether two stemmed words are the same word, the stems of short words can differ by their ending
+ * @param {string} a - Stemmed word
+ * @param {string} b - Stemmed word
+ * @returns {boolean} - Whether they match
+ */
+function sameWord(a, b) {
+    return Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a));
+}
+
+/**
+ * Find the word a memory negates, e.g. "trust" in "Alice no longer trusts Bob"
+ * @param {string} text - Memory text
+ * @returns {string|null} - Stemmed word, null if the memory negates nothing
+ */
+function getNegatedWord(text) {
+    const match = NEGATIONS.exec(text);
+    return match ? tokenize(text.slice(match.index + match[0].length))[0] || null : null;
+}
+
+/**
+ * Check whether a new memory turns around what an existing memory says about the same subject:
+ * one of them negates a word the other states, or the new one names a change that ends the state of the old one.
+ * The subject is the first name of the new memory, and it has to appear in the existing memory.
+ * @param {string} newText - Text of the new memory
+ * @param {string} oldText - Text of the existing memory
+ * @returns {boolean} - Whether the new memory contradicts the existing one
+ */
+function contradicts(newText, oldText) {
+    const subject = extractNames(newText)[0];
+
+    if (!subject || !extractNames(oldText).includes(subject)) {
+        return false;
+    }
+
+    const newTokens = tokenize(newText);
+    const oldTokens = tokenize(oldText);
+    const newNegated = getNegatedWord(newText);
+    const oldNegated = getNegatedWord(oldText);
+    const states = (negated, tokens) => negated && tokens.some(token => sameWord(token, negated));
+
+    if (newNegated && (!oldNegated || !sameWord(newNegated, oldNegated)) && states(newNegated, oldTokens)) {
+        return true;
+    }
+
+    if (oldNegated && (!newNegated || !sameWord(newNegated, oldNegated)) && states(oldNegated, newTokens)) {
+        return true;
+    }
+
+    // A change of state only ends a state about the same people or things
+    const subjectToken = tokenize(subject)[0];
+    const sharesObject = newTokens.some(token => token !== subjectToken && oldTokens.some(oldToken => sameWord(token, oldToken)));
+
+    return sharesObject && STATE_CHANGES.some(({ cue, ends }) => cue.test(newText) && !cue.test(oldText) && ends.test(oldText));
+}
+
+/**
+ * Find contradictions with word cues: a new memory that negates what an existing memory says about the same subject,
+ * or names a change that ends it ("broke up" after "dating"), replaces the most similar such memory.
+ * Bare hints of a change such as "now" or "left" are not enough, the summarization model judges those.
+ * @param {import('./memory-store.js').MemoryRecord[]} newMemories - New memories
+ * @param {import('./memory-store.js').MemoryRecord[]} existingMemories - Current memories
+ * @returns {Contradiction[]} - Contradictions found
+ */
+export function findContradictionsHeuristic(newMemories, existingMemories) {
+    const contradictions = [];
+
+    newMemories.forEach(newMemory => {
+        let best = null;
+
+        existingMemories
+            .filter(oldMemory => contradicts(newMemory.text, oldMemory.text))
+            .forEach(oldMemory => {
+                const similarity = textSimilarity(newMemory.text, oldMemory.text);
+
+                if (!best || similarity > best.similarity) {
+                    best = { oldMemory, similarity };
+                }
+            });
+
+        if (best) {
+            contradictions.push({ newId: newMemory.id, oldId: best.oldMemory.id, method: 'heuristic' });
+        }
+    });
+
+    return contradictions;
+}
+
+/**
+ * Ask the summarization model which existing memories the new ones make outdated
+ * @param {import('./memory-store.js').MemoryRecord[]} newMemories - New memories
+ * @param {import('./memory-store.js').MemoryRecord[]} existingMemories - Current memories
+ * @param {string} ownerName - Name of the character or group owning the memories
+ * @param {import('./model-providers.js').ModelOptions} modelOptions - Which model to use and how
+ * @returns {Promise<Contradiction[]>} - Contradictions found
+ */
+export async function findContradictionsWithModel(newMemories, existingMemories, ownerName, modelOptions) {
+    // Only show the judge the memories that could be about the same things
+    const newTokens = new Set(newMemories.flatMap(memory => tokenize(memory.text)));
+    const candidates = existingMemories
+        .filter(memory => tokenize(memory.text).some(token => newTokens.has(token)))
+        .slice(-MAX_JUDGE_CANDIDATES);
+
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const userMessage = [
+        'Existing memories:',
+        ...candidates.map((memory, index) => `${index + 1}. ${memory.text}`),
+        '',
+        'New memories:',
+        ...newMemories.map((memory, index) => `${index + 1}. ${memory.text}`),
+    ].join('\n');
+
+    const response = await generateText(JUDGE_PROMPT.replace(/{{char}}/g, ownerName), userMessage, modelOptions);
+    const data = extractJson(response);
+
+    if (!data || !Array.isArray(data.outdated)) {
+        throw new Error('The contradiction check returned no valid JSON');
+    }
+
+    return data.outdated.flatMap(entry => {
+        const newMemory = newMemories[Number(entry?.new) - 1];
+        const oldNumbers = Array.isArray(entry?.old) ? entry.old : [entry?.old];
+
+        return newMemory
+            ? oldNumbers
+                .map(number => candidates[Number(number) - 1])
+                .filter(Boolean)
+                .map(oldMemory => ({ newId: newMemory.id, oldId: oldMemory.id, method: 'model' }))
+            : [];
+    });
+}
+
+/**
+ * Find existing memories that new memories contradict, with the model if asked and word cues otherwise
+ * @param {import('./memory-store.js').MemoryRecord[]} newMemories - New memories
+ * @param {import('./memory-store.js').MemoryRecord[]} existingMemories - Current memories
+ * @param {object} options - Check options
+ * @param {'off'|'heuristic'|'model'} options.mode - How to check
+ * @param {string} options.ownerName - Name of the character or group owning the memories
+ * @param {import('./model-providers.js').ModelOptions} [options.modelOptions] - Which model to use and how
+ * @returns {Promise<Contradiction[]>} - Contradictions found
+ */
+export async function findContradictions(newMemories, existingMemories, { mode, ownerName, modelOptions = {} }) {
+    if (mode === 'off' || newMemories.length === 0 || existingMemories.length === 0) {
+        return [];
+    }
+
+    if (mode === 'model') {
+        try {
+            return await findContradictionsWithModel(newMemories, existingMemories, ownerName, modelOptions);
+        } catch (error) {
+            // A cancelled check still ends with word cues, the new memories are stored either way
+            if (!modelOptions.signal?.aborted) {
+                console.warn('Memory Manager: Contradiction check with the model failed, using word cues instead', error);
+            }
+        }
+    }
+
+    return findContradictionsHeuristic(newMemories, existingMemories);
+}
@@ -0,0 +1,81 @@
+/**
+ * Group Memories Module
+ * Works out who took part in a group chat and which memory owners each memory belongs to
+ */
+
+import { characters } from '../../../../script.js';
+import { getGroupOwnerKey } from './memory-store.js';
+
+/**
+ * Get the group members who spoke in a span of messages
+ * @param {object} group - Group object
+ * @param {Array} messages - Chat messages
+ * @returns {{avatar: string, name: string}[]} - Participating characters in order of first appearance
+ */
+export function getSummaryParticipants(group, messages) {
+    const members = (group?.members || [])
+        .map(avatar => characters.find(char => char.avatar === avatar))
+        .filter(Boolean);
+    const participants = [];
+
+    messages.forEach(msg => {
+        if (msg.is_user || msg.is_system) {
+            return;
+        }
+
+        const member = members.find(char => char.avatar === msg.original_avatar)
+            || members.find(char => char.name === msg.name);
+
+        if (member && !participants.some(participant => participant.avatar === member.avatar)) {
+            participants.push({ avatar: member.avatar, name: member.name });
+        }
+    });
+
+    return participants;
+}
+
+/**
+ * Decide which memory owners receive each memory item.
+ * Items naming specific participants go to those characters, other items go to everyone who took part.
+ * If no member took part or is named, the items go to the group memory so they aren't lost.
+ * @param {import('./memory-manager.js').MemoryItem[]} items - Memory items
+ * @param {{avatar: string, name: string}[]} participants - Participating characters
+ * @param {string} groupId - Group ID
+ * @param {string} mode - 'participants', 'shared' or 'both'
+ * @returns {Map<string, import('./memory-manager.js').MemoryItem[]>} - Memory items per owner (character avatar or group memory key)
+ */
+export function routeMemoryItems(items, participants, groupId, mode) {
+    const routes = new Map();
+    const addRoute = (owner, item) => {
+        if (!routes.has(owner)) {
+            routes.set(owner, []);
+        }
+        routes.get(owner).push(item);
+    };
+
+    items.forEach(item => {
+        const mentioned = participants.filter(participant => mentionsName(item.text, participant.name));
+        const recipients = mentioned.length > 0 ? mentioned : participants;
+
+        if (mode !== 'shared') {
+            recipients.forEach(participant => addRoute(participant.avatar, item));
+        }
+
+        if (mode !== 'participants' || recipients.length === 0) {
+            addRoute(getGroupOwnerKey(groupId), item);
+        }
+    });
+
+    return routes;
+}
+
+/**
+ * Check whether a text mentions a name as a whole word
+ * @param {string} text - Text to search
+ * @param {string} name - Name to look for
+ * @returns {boolean} - Whether the name is mentioned
+ */
+export function mentionsName(text, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'iu').test(text);
+}
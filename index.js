@@ -1,8 +1,73 @@
-import { eventSource, event_types, saveSettingsDebounced, getContext } from '../../../../script.js';
+import {
+    eventSource,
+    event_types,
+    saveSettingsDebounced,
+    setExtensionPrompt,
+    extension_prompt_types,
+    extension_prompt_roles,
+} from '../../../../script.js';
 import { registerSlashCommand } from '../../../slash-commands.js';
-import { extension_settings } from '../../../extensions.js';
-import { summarizeChat } from './summarization-service.js';
-import { updateCharacterNotes, isNewInformation } from './memory-manager.js';
+import { getContext } from '../../../extensions.js';
+import { download, getFileText } from '../../../utils.js';
+import { getSettings, getModelOptions } from './settings.js';
+import { getEffectiveSettings, refreshOverridePanel } from './settings-overrides.js';
+import { summarizeChat, generateText } from './summarization-service.js';
+import { PROVIDERS } from './model-providers.js';
+import {
+    updateCharacterNotes,
+    isNewInformation,
+    splitSummaryItems,
+    toMemoryItems,
+    searchMemories,
+    editMemory,
+    deleteMemory,
+    updateStaleMemories,
+    moveMemorySources,
+    removeRangeMemories,
+} from './memory-manager.js';
+import { recordSourceRange, forgetSourceRange, findChangedRanges, remapIndex } from './source-tracking.js';
+import { findTrigger } from './trigger-policies.js';
+import { STRUCTURED_OUTPUT_INSTRUCTION, parseStructuredSummary } from './structured-output.js';
+import { CITATION_INSTRUCTION, extractCitations, verifyMemoryItems } from './memory-verification.js';
+import { needsConsolidation, consolidateMemories } from './consolidation-service.js';
+import { getSummaryParticipants, routeMemoryItems } from './group-memories.js';
+import { getGroupOwnerKey, isGroupOwner, getMemories, findMemory, getOwnerName, MEMORY_CATEGORIES } from './memory-store.js';
+import { refreshMemoryBrowser } from './memory-browser.js';
+import { exportMemoriesJson, exportMemoriesMarkdown, parseMemoryExport, importMemories } from './memory-transfer.js';
+import { getRelationships, updateRelationshipsFromSummary, renderRelationshipBlock, refreshRelationshipPanel } from './relationship-tracker.js';
+import { buildMemoryInjection, showInjectionReport } from './memory-injection.js';
+import { updateStorySummaries, removeStorySummaries, moveStorySummaries, renderStorySoFar, renderStoryBlock, showStoryPopup, STORY_LEVELS } from './story-summaries.js';
+import { getSnapshots, restoreSnapshot, undoLastChange, showHistoryPopup } from './memory-history.js';
+import { PERSONA_OWNER, classifyUserFacts, getPersonaDescription, appendPersonaFacts } from './persona-memories.js';
+import { queueCandidateMemories, getPendingMemories, showReviewPopup } from './review-queue.js';
+import {
+    getChatState,
+    getSummarizationCursor,
+    setSummarizationCursor,
+    saveSummarizationCursor,
+    applyPendingCursor,
+    clampSummarizationCursor,
+    getUnsummarizedRange,
+} from './chat-state.js';
+import {
+    getBackfillState,
+    getBackfillProgress,
+    isBackfillRunning,
+    createBackfill,
+    runBackfill,
+} from './backfill.js';
+import {
+    registerJobHandler,
+    enqueueJob,
+    waitForJob,
+    runJob,
+    cancelJob,
+    getJobs,
+    findActiveJob,
+    processJobQueue,
+    refreshJobPanel,
+} from './job-queue.js';
+import { escapeHtml } from './script.js';
 
 /**
  * Character Memory Manager Extension
@@ -10,28 +75,21 @@ import { updateCharacterNotes, isNewInformation } from './memory-manager.js';
  * by dynamically summarizing chat interactions and maintaining evolving character notes.
  */
 
-// Extension name needs to match directory name EXACTLY
-const extensionName = 'SillyTavern-Character-Memory-Manager';
 const displayName = 'Character Memory Manager';
-
-// Initialize settings
-if (!extension_settings[extensionName]) {
-    extension_settings[extensionName] = {
-        enabled: true,
-        messagesBeforeSummarize: 20,
-        showNotifications: true,
-        useSeparateModel: false,
-        separateModelEndpoint: "",
-        separateModelApiKey: "",
-        summarizationPrompt: "Pause your chat with the user and summarize the last {{count}} messages in this array. Provide a summarized listicle of any interesting events, relationship dynamics, promises made or deeds performed including summaries of any noteworthy conversations between {{user}} and {{char}}."
-    };
-}
+const INJECTION_PROMPT_KEY = 'character_memory_manager';
+const RELATIONSHIP_PROMPT_KEY = 'character_memory_manager_relationships';
+const STORY_PROMPT_KEY = 'character_memory_manager_story';
+// Similarity a query needs for /memoryforget to delete a memory without its ID
+const FORGET_MIN_SCORE = 0.8;
 
 // Variables
-let messageCounter = 0;
-let processingMemory = false;
-let settings = extension_settings[extensionName];
+let settings = getSettings();
 let notificationTimeout;
+let sourceCheckTimeout;
+let idleTimeout;
+// Chat open now, and whether it got new messages since it was opened
+let openChat = { chatId: null, owners: [], active: false };
+let lastInjectionReport = null;
 
 // Functions
 function createNotificationElement() {
@@ -68,191 +126,1885 @@ function showNotification(message, isError = false) {
 }
 
 /**
- * Main logic to check and update memories
+ * Summarize a range of messages of the current chat and store the new information
+ * @param {{start: number, end: number}} range - Inclusive message range
+ * @param {object} [options] - Run options
+ * @param {boolean} [options.dryRun] - Only report what would be stored
+ * @param {AbortSignal} [options.signal] - Aborts the run when its job is cancelled
+ * @returns {Promise<{added: object[], queued: object[], duplicates: object[], rejected: object[]}>} - Memory items per outcome, each with its owner. Rejected items failed the source check and have no owner
  */
-async function checkAndUpdateMemories() {
-    // Prevent multiple simultaneous runs
-    if (processingMemory || !settings.enabled) {
-        return;
+async function summarizeRange(range, { dryRun = false, signal = null } = {}) {
+    const context = getContext();
+    const chatId = context.getCurrentChatId();
+    const messages = context.chat.slice(range.start, range.end + 1);
+    
+    // Get the speakers and the memory owners of this chat
+    const userName = context.name1;
+    let characterName = context.name2;
+    let participants = [];
+    
+    if (context.groupId) {
+        const group = context.groups.find(item => item.id === context.groupId);
+        participants = getSummaryParticipants(group, messages);
+        characterName = participants.map(participant => participant.name).join(', ') || group?.name || characterName;
     }
     
-    try {
-        // Get chat context from SillyTavern
-        const context = getContext();
-        if (!context || !context.chat || !context.chat.length) {
-            return;
+    // Generate summary
+    const activeSettings = getEffectiveSettings();
+    const modelOptions = { ...getModelOptions(activeSettings), signal };
+    const verify = settings.verifyMemories !== 'off';
+    const instructions = [
+        ...(verify ? [CITATION_INSTRUCTION] : []),
+        ...(settings.structuredOutput ? [STRUCTURED_OUTPUT_INSTRUCTION] : []),
+    ];
+    const promptTemplate = [activeSettings.summarizationPrompt, ...instructions].join('\n\n');
+    const summarizedChat = await summarizeChat(
+        messages, 
+        characterName, 
+        userName, 
+        promptTemplate,
+        modelOptions,
+        verify ? range.start : null
+    );
+    
+    console.log(`${displayName}: Generated summary:`, summarizedChat);
+    
+    let summaryItems = settings.structuredOutput
+        ? parseStructuredSummary(summarizedChat).items
+        : toMemoryItems(splitSummaryItems(summarizedChat));
+    let rejected = [];
+    
+    // Check each item against the messages it cites
+    if (verify) {
+        ({ items: summaryItems, rejected } = await verifyMemoryItems(extractCitations(summaryItems, range), context.chat, {
+            mode: settings.verifyMemories,
+            modelOptions,
+        }));
+    }
+    
+    // Route the memory items to the characters (and group) they belong to
+    summaryItems = classifyUserFacts(summaryItems, userName);
+    const characterItems = activeSettings.userFactsToPersona
+        ? summaryItems.filter(item => item.category !== 'user')
+        : summaryItems;
+    const routes = context.groupId
+        ? routeMemoryItems(characterItems, participants, context.groupId, settings.groupMemoryMode)
+        : new Map([[context.characters[context.characterId].avatar, characterItems]]);
+    
+    // Facts about the user follow them across characters in the persona instead
+    if (activeSettings.userFactsToPersona) {
+        routes.set(PERSONA_OWNER, summaryItems.filter(item => item.category === 'user'));
+    }
+    
+    // Update the relationship states of the characters who took part
+    if (!dryRun && settings.trackRelationships) {
+        const trackedCharacters = context.groupId
+            ? participants
+            : [{ avatar: context.characters[context.characterId].avatar, name: characterName }];
+        await updateRelationshipsFromSummary(trackedCharacters, [userName], summarizedChat, summaryItems, modelOptions);
+    }
+    
+    // Nothing is stored once the run is cancelled
+    signal?.throwIfAborted();
+    
+    const userPersona = getPersonaDescription();
+    const result = { added: [], queued: [], duplicates: [], rejected };
+    
+    for (const [owner, ownerItems] of routes) {
+        // A group member can be turned off with its own character overrides
+        if (owner !== PERSONA_OWNER && !getEffectiveSettings(owner).enabled) {
+            continue;
         }
         
-        // Increment message counter
-        messageCounter++;
+        // See if we have new information for this owner
+        const { newItems, duplicates } = isNewInformation(ownerItems, owner, userPersona, settings.duplicateThreshold);
+        result.duplicates.push(...duplicates.map(duplicate => ({ owner, ...duplicate })));
+        
+        if (newItems.length === 0) {
+            continue;
+        }
         
-        // Check if we've reached threshold
-        if (messageCounter >= settings.messagesBeforeSummarize) {
-            processingMemory = true;
+        if (dryRun) {
+            result.added.push(...newItems.map(item => ({ owner, ...item })));
+        } else if (settings.reviewMemories) {
+            // Hold the candidates until the user has reviewed them
+            queueCandidateMemories(newItems, {
+                characterAvatar: owner,
+                chatId,
+                sourceGroupId: context.groupId || null,
+                sourceRange: range,
+            });
+            result.queued.push(...newItems.map(item => ({ owner, ...item })));
+        } else if (owner === PERSONA_OWNER) {
+            appendPersonaFacts(newItems);
+            result.added.push(...newItems.map(item => ({ owner, ...item })));
+        } else {
+            // Store the new memories and refresh the character notes
+            await updateCharacterNotes(owner, newItems, {
+                chatId,
+                sourceGroupId: context.groupId || null,
+                sourceRange: range,
+                signal,
+            });
+            result.added.push(...newItems.map(item => ({ owner, ...item })));
+            
+            if (settings.autoConsolidate && await needsConsolidation(owner, settings.consolidationTokenBudget)) {
+                await runConsolidation(owner, signal);
+            }
+        }
+    }
+    
+    // Fingerprint the source messages so later edits can be detected
+    if (!dryRun && getContext().getCurrentChatId() === chatId) {
+        recordSourceRange(range);
+    }
+    
+    // Roll the summary up into the scene and arc summaries of the chat
+    if (!dryRun && settings.storySummaries && getContext().getCurrentChatId() === chatId) {
+        try {
+            await updateStorySummaries(range, summaryItems.map(item => `• ${item.text}`).join('\n'), {
+                windowsPerScene: settings.windowsPerScene,
+                scenesPerArc: settings.scenesPerArc,
+                characterName,
+                userName,
+                modelOptions,
+            });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
             
-            // Show notification
+            // The memories are already stored, the roll-up is tried again after the next summary
+            console.error(`${displayName} story summary error:`, error);
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Find the messages of the current chat that are due for summarization, and why
+ * @param {object} [options] - Check options
+ * @param {boolean} [options.force] - Take the unsummarized messages even if no trigger policy fires
+ * @param {number} [options.count] - Take at most this many of the unsummarized messages, 0 for all
+ * @param {string} [options.reason] - Why the run was forced
+ * @returns {Promise<{range: {start: number, end: number}, reason: string}|null>} - Inclusive message range and why it's due, or null if nothing is due
+ */
+async function getDueRange({ force = false, count = 0, reason = "requested" } = {}) {
+    const activeSettings = getEffectiveSettings();
+    const context = getContext();
+    
+    if (!activeSettings.enabled || !context || !context.chat || !context.chat.length) {
+        return null;
+    }
+    
+    // Find the messages that haven't been summarized in this chat yet
+    const range = getUnsummarizedRange(activeSettings.messagesBeforeSummarize);
+    if (!range) {
+        return null;
+    }
+    
+    if (count > 0) {
+        range.end = Math.min(range.end, range.start + count - 1);
+    }
+    
+    if (force) {
+        return { range, reason };
+    }
+    
+    // Check the message count, token and scene break policies
+    const trigger = await findTrigger(context.chat, range, activeSettings);
+    if (!trigger) {
+        return null;
+    }
+    
+    if (trigger.until !== undefined) {
+        range.end = Math.min(range.end, trigger.until);
+    }
+    
+    return { range, reason: trigger.reason };
+}
+
+/**
+ * Explain why the current chat has no messages to summarize
+ * @returns {string} - Reason
+ */
+function describeNothingDue() {
+    if (!getContext().getCurrentChatId()) {
+        return "No chat is open.";
+    }
+    
+    if (!getEffectiveSettings().enabled) {
+        return `${displayName} is disabled for this chat.`;
+    }
+    
+    return "All messages are already summarized.";
+}
+
+/**
+ * Main logic to check and update memories. Runs as a summarization job, see queueMemoryUpdate.
+ * @param {object} [options] - Run options
+ * @param {boolean} [options.force] - Summarize the unsummarized messages even if no trigger policy fires
+ * @param {number} [options.count] - Summarize at most this many of the unsummarized messages, 0 for all
+ * @param {string} [options.reason] - Why the run was forced
+ * @param {boolean} [options.dryRun] - Only report what would be stored, without writing or moving the cursor
+ * @param {AbortSignal} [signal] - Aborts the run when its job is cancelled
+ * @returns {Promise<object|null>} - Result of the run with the reason it ran, or null if nothing was due
+ */
+async function checkAndUpdateMemories({ force = false, count = 0, reason, dryRun = false } = {}, signal = null) {
+    // The messages are looked up again, earlier jobs may have summarized some of them
+    const due = await getDueRange({ force, count, reason });
+    if (!due) {
+        return null;
+    }
+    
+    const { range } = due;
+    console.log(`${displayName}: Summarizing messages ${range.start}-${range.end}: ${due.reason}`);
+    
+    // Remember which chat the run belongs to, the user may switch while it's in progress
+    const chatId = getContext().getCurrentChatId();
+    
+    // Show notification
+    if (settings.showNotifications) {
+        showNotification(dryRun ? `Summarizing messages (dry run, ${due.reason})...` : `Updating character memories (${due.reason})...`);
+    }
+    
+    try {
+        const result = await summarizeRange(range, { dryRun, signal });
+        
+        if (dryRun) {
+            return { range, reason: due.reason, ...result };
+        }
+        
+        if (result.queued.length > 0) {
             if (settings.showNotifications) {
-                showNotification("Updating character memories...");
+                showNotification(`${result.queued.length} new memories waiting for review.`);
             }
             
-            try {
-                // Get messages to summarize
-                const lastMessages = context.chat.slice(-settings.messagesBeforeSummarize);
-                
-                // Get character and user names
-                const characterName = context.name2;
-                const userName = context.name1;
-                
-                // Generate summary
-                const summarizedChat = await summarizeChat(
-                    lastMessages, 
-                    characterName, 
-                    userName, 
-                    settings.summarizationPrompt,
-                    settings.useSeparateModel,
-                    settings.separateModelEndpoint,
-                    settings.separateModelApiKey
-                );
-                
-                console.log(`${displayName}: Generated summary:`, summarizedChat);
-                
-                // Get character info to check against existing notes
-                const characterInfo = context.characters[context.characterId];
-                const characterNotes = characterInfo?.data?.character_notes || "";
-                const userPersona = context.persona_description || "";
-                
-                // See if we have new information
-                const newInformation = isNewInformation(summarizedChat, characterNotes, userPersona);
-                
-                if (newInformation) {
-                    // Update the character notes
-                    await updateCharacterNotes(context.characterId, characterNotes, newInformation);
-                    
-                    // Success notification
-                    if (settings.showNotifications) {
-                        showNotification("Character memories updated with new information!");
-                    }
-                } else {
-                    // No new info notification
-                    if (settings.showNotifications) {
-                        showNotification("No new information to add to character memories.");
-                    }
-                }
-                
-                // Reset counter
-                messageCounter = 0;
-            } catch (error) {
-                console.error(`${displayName} memory update error:`, error);
-                if (settings.showNotifications) {
-                    showNotification("Failed to update character memories: " + error.message, true);
-                }
-            } finally {
-                processingMemory = false;
+            showReviewPopup();
+        } else if (result.added.length > 0) {
+            // Success notification
+            if (settings.showNotifications) {
+                showNotification("Character memories updated with new information!");
+            }
+        } else {
+            // No new info notification
+            if (settings.showNotifications) {
+                showNotification(result.duplicates.length > 0
+                    ? `No new information to add to character memories (${result.duplicates.length} duplicates skipped).`
+                    : "No new information to add to character memories.");
             }
         }
+        
+        // Advance the cursor past the summarized messages, even if the user switched chats meanwhile
+        saveSummarizationCursor(chatId, range.end);
+        
+        return { range, reason: due.reason, ...result };
     } catch (error) {
-        console.error(`${displayName} checkAndUpdateMemories error:`, error);
-        processingMemory = false;
+        if (!signal?.aborted) {
+            console.error(`${displayName} memory update error:`, error);
+            if (settings.showNotifications) {
+                showNotification("Failed to update character memories: " + error.message, true);
+            }
+        }
+        throw error;
     }
 }
 
-// Listen for new messages
-eventSource.on(event_types.MESSAGE_SENT, async () => {
-    if (settings.enabled) {
-        await checkAndUpdateMemories();
+/**
+ * Queue a summarization of the current chat. Triggers that arrive while it waits are merged into it.
+ * @param {object} [options] - Run options, see checkAndUpdateMemories
+ * @returns {import('./job-queue.js').Job} - Queued job
+ */
+function queueMemoryUpdate(options = {}) {
+    return enqueueJob({
+        type: 'summarize',
+        label: options.dryRun ? "Summarize new messages (dry run)" : "Summarize new messages",
+        owners: getCurrentMemoryOwners(),
+        chatId: getContext().getCurrentChatId(),
+        params: options,
+    });
+}
+
+/**
+ * Queue a summarization of the chat that was just left, if it got new messages. SillyTavern unloads a chat
+ * when it's left, so the job waits until the chat is opened again.
+ * @param {string} reason - Why the chat is summarized
+ * @returns {import('./job-queue.js').Job|null} - Queued job, or null if the policy is off or the chat had no new messages
+ */
+function queueLeftChatUpdate(reason) {
+    if (!settings.triggerOnChatSwitch || !openChat.chatId || !openChat.active) {
+        return null;
     }
-});
+    
+    openChat.active = false;
+    return enqueueJob({
+        type: 'summarize',
+        label: "Summarize the messages left unsummarized",
+        owners: openChat.owners,
+        chatId: openChat.chatId,
+        params: { force: true, reason },
+    });
+}
 
-// Slash command for manual memory update
-registerSlashCommand('memoryupdate', async (args) => {
-    if (!settings.enabled) {
-        return `${displayName} is disabled. Enable it in the extensions settings first.`;
+/**
+ * Queue a summarization of the unsummarized messages once no new message came for the idle timeout
+ */
+function scheduleIdleTrigger() {
+    clearTimeout(idleTimeout);
+    const minutes = Number(settings.triggerIdleMinutes);
+    const chatId = getContext().getCurrentChatId();
+    
+    if (!(minutes > 0) || !chatId) {
+        return;
     }
     
-    // Force memory update by setting message counter to threshold
-    messageCounter = settings.messagesBeforeSummarize;
-    await checkAndUpdateMemories();
+    idleTimeout = setTimeout(async () => {
+        const reason = `no new message for ${minutes} minutes`;
+        
+        if (getContext().getCurrentChatId() === chatId && await getDueRange({ force: true, reason })) {
+            queueMemoryUpdate({ force: true, reason });
+        }
+    }, minutes * 60 * 1000);
+}
+
+/**
+ * Check the trigger policies after a message was sent or received
+ * @returns {Promise<void>}
+ */
+async function onChatMessage() {
+    openChat.active = true;
+    scheduleIdleTrigger();
     
-    return "Memory update process triggered.";
-}, [], "Trigger memory update for the current character");
+    // The job looks the reason up again when it runs, so triggers that arrive while it waits are merged into it
+    if (await getDueRange()) {
+        queueMemoryUpdate();
+    }
+}
 
-// Settings UI
-function renderSettings() {
-    const settingsHtml = `
-    <div id="memory_manager_settings">
-        <div class="memory-manager-block">
-            <label class="checkbox_label">
-                <input id="memory-manager-enabled" type="checkbox" ${settings.enabled ? 'checked' : ''} />
-                <span>Enable Character Memory Manager</span>
-            </label>
-        </div>
+/**
+ * Consolidate the older memories of a character or group
+ * @param {string} owner - Character avatar or group memory key
+ * @param {AbortSignal} [signal] - Aborts the consolidation when its job is cancelled
+ * @returns {Promise<string>} - Result description
+ */
+async function runConsolidation(owner, signal = null) {
+    if (settings.showNotifications) {
+        showNotification("Consolidating character memories...");
+    }
+    
+    try {
+        const { before, after } = await consolidateMemories(owner, {
+            keepRecent: settings.recentMemoriesToKeep,
+            promptTemplate: settings.consolidationPrompt,
+            modelOptions: { ...getModelOptions(getEffectiveSettings(owner)), signal },
+        });
         
-        <div class="memory-manager-block">
-            <label for="memory-manager-message-count">Number of messages before summarization:</label>
-            <input id="memory-manager-message-count" type="number" min="5" max="100" value="${settings.messagesBeforeSummarize}" />
-        </div>
+        const result = before === after
+            ? "Not enough older memories to consolidate."
+            : `Consolidated ${before} older memories into ${after}.`;
         
-        <div class="memory-manager-block">
-            <label class="checkbox_label">
-                <input id="memory-manager-notifications" type="checkbox" ${settings.showNotifications ? 'checked' : ''} />
-                <span>Show notifications</span>
-            </label>
-        </div>
+        if (settings.showNotifications) {
+            showNotification(result);
+        }
         
-        <div class="memory-manager-block">
-            <label class="checkbox_label">
-                <input id="memory-manager-separate-model" type="checkbox" ${settings.useSeparateModel ? 'checked' : ''} />
-                <span>Use separate model for summarization</span>
-            </label>
-        </div>
+        return result;
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
         
-        <div id="memory-manager-separate-model-settings" class="memory-manager-block" style="display: ${settings.useSeparateModel ? 'block' : 'none'}">
-            <label for="memory-manager-model-endpoint">Model Endpoint URL:</label>
-            <input id="memory-manager-model-endpoint" type="text" value="${settings.separateModelEndpoint}" placeholder="https://api.example.com/v1/chat/completions" />
-            
-            <label for="memory-manager-model-api-key">API Key (optional):</label>
-            <input id="memory-manager-model-api-key" type="password" value="${settings.separateModelApiKey}" placeholder="API Key" />
-        </div>
+        console.error(`${displayName} consolidation error:`, error);
+        if (settings.showNotifications) {
+            showNotification("Failed to consolidate character memories: " + error.message, true);
+        }
+        return "Failed to consolidate character memories: " + error.message;
+    }
+}
+
+/**
+ * Get the memory owners of the current chat
+ * @returns {string[]} - Character avatar, or the group members and the group memory key in group chats
+ */
+function getCurrentMemoryOwners() {
+    const context = getContext();
+    
+    if (context.groupId) {
+        const group = context.groups.find(item => item.id === context.groupId);
+        return [...(group?.members || []), getGroupOwnerKey(context.groupId)];
+    }
+    
+    const character = context.characters[context.characterId];
+    return character ? [character.avatar] : [];
+}
+
+/**
+ * Summarize a range again after its messages changed, replacing the memories taken from it
+ * @param {{start: number, end: number}} range - Inclusive message range
+ * @param {AbortSignal} [signal] - Aborts the run when its job is cancelled
+ * @returns {Promise<void>}
+ */
+async function resummarizeRange(range, signal = null) {
+    const context = getContext();
+    const chatId = context.getCurrentChatId();
+    const cursor = getSummarizationCursor(getEffectiveSettings().messagesBeforeSummarize);
+    
+    for (const owner of getCurrentMemoryOwners()) {
+        await removeRangeMemories(owner, chatId, range);
+    }
+    
+    forgetSourceRange(range);
+    removeStorySummaries(range);
+    
+    // Messages may have been deleted, only summarize what is left of the range
+    const remaining = { start: range.start, end: Math.min(range.end, cursor, context.chat.length - 1) };
+    
+    if (remaining.start <= remaining.end) {
+        await summarizeRange(remaining, { signal });
+    }
+}
+
+/**
+ * Find the summarized ranges of the current chat whose messages changed. Memories, story summaries and the cursor
+ * of ranges that only moved, because messages before them were deleted or inserted, follow them to where they are now.
+ * @param {string} chatId - Current chat ID
+ * @returns {Promise<{start: number, end: number}[]>} - Changed ranges
+ */
+async function findChangedSources(chatId) {
+    const { changed, moved } = findChangedRanges();
+    
+    if (moved.length > 0) {
+        for (const owner of getCurrentMemoryOwners()) {
+            await moveMemorySources(owner, chatId, moved);
+        }
         
-        <div class="memory-manager-block">
-            <label for="memory-manager-summarization-prompt">Summarization Prompt:</label>
-            <textarea id="memory-manager-summarization-prompt" rows="4">${settings.summarizationPrompt}</textarea>
-            <div class="memory-manager-hint">Use {{user}} for user name, {{char}} for character name, and {{count}} for number of messages</div>
-        </div>
-    </div>`;
+        moveStorySummaries(moved);
+        
+        const cursor = getChatState().lastSummarizedIndex;
+        
+        if (typeof cursor === 'number') {
+            setSummarizationCursor(remapIndex(cursor, moved));
+        }
+    }
     
-    return settingsHtml;
+    clampSummarizationCursor();
+    return changed;
 }
 
-// Settings handlers
-$(document).on('click', '#memory-manager-enabled', function() {
-    settings.enabled = !!$(this).prop('checked');
-    saveSettingsDebounced();
+/**
+ * Flag memories whose source messages were edited, deleted or swiped, and queue their re-summarization if enabled
+ * @param {object} [options] - Check options
+ * @param {boolean} [options.resummarize] - Summarize changed ranges again, defaults to the setting
+ * @returns {Promise<{changed: number, stale: number, job: import('./job-queue.js').Job|null}>} - Number of changed ranges and newly stale memories, and the queued re-summarization
+ */
+async function checkSourceChanges({ resummarize = settings.resummarizeStale } = {}) {
+    const chatId = getContext().getCurrentChatId();
+    
+    if (!getEffectiveSettings().enabled || !chatId) {
+        return { changed: 0, stale: 0, job: null };
+    }
+    
+    const changedRanges = await findChangedSources(chatId);
+    let stale = 0;
+    
+    for (const owner of getCurrentMemoryOwners()) {
+        stale += await updateStaleMemories(owner, chatId, changedRanges);
+    }
+    
+    if (changedRanges.length === 0 || !resummarize) {
+        if (stale > 0 && settings.showNotifications) {
+            showNotification(`${stale} memories are stale, their source messages changed.`);
+        }
+        
+        return { changed: changedRanges.length, stale, job: null };
+    }
+    
+    const job = enqueueJob({
+        type: 'refresh',
+        label: "Summarize changed messages again",
+        owners: getCurrentMemoryOwners(),
+        chatId,
+    });
+    
+    return { changed: changedRanges.length, stale, job };
+}
+
+/**
+ * Check the summarized messages shortly after they change, so a burst of edits is handled once
+ */
+function scheduleSourceCheck() {
+    clearTimeout(sourceCheckTimeout);
+    sourceCheckTimeout = setTimeout(async () => {
+        try {
+            await checkSourceChanges();
+        } catch (error) {
+            console.error(`${displayName} source check error:`, error);
+        }
+    }, 1000);
+}
+
+// Job handlers
+registerJobHandler('summarize', async (job, { signal }) => {
+    const result = await checkAndUpdateMemories(job.params, signal);
+    
+    return {
+        message: result
+            ? `Messages ${result.range.start}-${result.range.end} (${result.reason}): ${result.added.length} added, ${result.queued.length} to review, ${result.duplicates.length} duplicates, ${result.rejected.length} unsupported.`
+            : "No messages to summarize.",
+        result,
+    };
 });
 
-$(document).on('change', '#memory-manager-message-count', function() {
-    settings.messagesBeforeSummarize = Number($(this).val());
-    saveSettingsDebounced();
+registerJobHandler('refresh', async (job, { signal, setProgress }) => {
+    const changedRanges = getContext().getCurrentChatId() === job.chatId ? await findChangedSources(job.chatId) : [];
+    
+    try {
+        for (const [index, range] of changedRanges.entries()) {
+            if (getContext().getCurrentChatId() !== job.chatId) {
+                break;
+            }
+            
+            setProgress(index, changedRanges.length);
+            await resummarizeRange(range, signal);
+        }
+    } catch (error) {
+        if (!signal.aborted) {
+            console.error(`${displayName} re-summarization error:`, error);
+            if (settings.showNotifications) {
+                showNotification("Failed to summarize changed messages again: " + error.message, true);
+            }
+        }
+        throw error;
+    }
+    
+    const message = `Summarized ${changedRanges.length} changed message ranges again.`;
+    if (settings.showNotifications) {
+        showNotification(message);
+    }
+    
+    return { message, result: changedRanges.length };
 });
 
-$(document).on('click', '#memory-manager-notifications', function() {
-    settings.showNotifications = !!$(this).prop('checked');
-    saveSettingsDebounced();
+registerJobHandler('consolidate', async (job, { signal }) => {
+    const message = await runConsolidation(job.params.owner, signal);
+    return { message, result: message };
 });
 
-$(document).on('click', '#memory-manager-separate-model', function() {
-    settings.useSeparateModel = !!$(this).prop('checked');
-    $('#memory-manager-separate-model-settings').toggle(settings.useSeparateModel);
-    saveSettingsDebounced();
+// Listen for new messages from the user and the characters
+eventSource.on(event_types.MESSAGE_SENT, onChatMessage);
+eventSource.on(event_types.MESSAGE_RECEIVED, onChatMessage);
+
+// Listen for changes to messages that may already be summarized
+eventSource.on(event_types.MESSAGE_EDITED, scheduleSourceCheck);
+eventSource.on(event_types.MESSAGE_DELETED, scheduleSourceCheck);
+eventSource.on(event_types.MESSAGE_SWIPED, scheduleSourceCheck);
+
+// Load the summarization cursor of the opened chat
+eventSource.on(event_types.CHAT_CHANGED, () => {
+    const chatId = getContext().getCurrentChatId();
+    
+    // Catch up on the chat that was left, and forget its idle timer
+    if (chatId !== openChat.chatId) {
+        queueLeftChatUpdate("left the chat");
+        clearTimeout(idleTimeout);
+        openChat = { chatId, owners: getCurrentMemoryOwners(), active: false };
+    }
+    
+    if (chatId) {
+        applyPendingCursor();
+        getSummarizationCursor(getEffectiveSettings().messagesBeforeSummarize);
+        scheduleSourceCheck();
+    }
+    
+    updateBackfillStatus();
+    refreshMemoryBrowser(getCurrentMemoryOwners());
+    refreshRelationshipPanel(getCurrentMemoryOwners().filter(owner => !isGroupOwner(owner)));
+    refreshOverridePanel();
+    
+    // Run the jobs that were waiting for this chat
+    processJobQueue();
+    refreshJobPanel();
 });
 
-$(document).on('input', '#memory-manager-model-endpoint', function() {
-    settings.separateModelEndpoint = $(this).val();
-    saveSettingsDebounced();
+// Queue the summary of the chat being closed, it runs when the chat is opened again
+window.addEventListener('beforeunload', () => {
+    queueLeftChatUpdate("closed the chat");
 });
 
-$(document).on('input', '#memory-manager-model-api-key', function() {
-    settings.separateModelApiKey = $(this).val();
+/**
+ * Put the relationship states and the memories most relevant to the recent messages into the prompt,
+ * or clear them when injection is off
+ * @param {object[]} chat - Messages of the prompt being built
+ * @returns {Promise<void>}
+ */
+async function updatePromptInjections(chat) {
+    const activeSettings = getEffectiveSettings();
+    const position = Number(settings.injectionPosition);
+    const depth = Number(settings.injectionDepth);
+    const relationshipBlock = activeSettings.enabled && settings.injectRelationships
+        ? renderRelationshipBlock(getCurrentMemoryOwners().filter(owner => !isGroupOwner(owner)))
+        : '';
+    
+    setExtensionPrompt(RELATIONSHIP_PROMPT_KEY, relationshipBlock, position, depth, false, Number(settings.injectionRole));
+    
+    const storyBlock = activeSettings.enabled && settings.injectStory ? await renderStoryBlock(settings.storyTokenBudget) : '';
+    setExtensionPrompt(STORY_PROMPT_KEY, storyBlock, position, depth, false, Number(settings.injectionRole));
+    
+    if (!activeSettings.enabled || !settings.injectMemories) {
+        setExtensionPrompt(INJECTION_PROMPT_KEY, '', position, depth);
+        return;
+    }
+    
+    const recentText = chat
+        .filter(msg => !msg.is_system)
+        .slice(-Math.max(1, settings.injectionContextMessages))
+        .map(msg => `${msg.name}: ${msg.mes}`)
+        .join('\n');
+    
+    const { prompt, report } = await buildMemoryInjection(getCurrentMemoryOwners(), recentText, {
+        maxMemories: settings.injectionMaxMemories,
+        tokenBudget: settings.injectionTokenBudget,
+    });
+    
+    lastInjectionReport = report;
+    setExtensionPrompt(INJECTION_PROMPT_KEY, prompt, position, depth, false, Number(settings.injectionRole));
+}
+
+// Called by SillyTavern before each generation, see generate_interceptor in manifest.json
+globalThis.characterMemoryManagerInterceptor = async function(chat) {
+    try {
+        await updatePromptInjections(chat);
+    } catch (error) {
+        console.error(`${displayName} memory injection error:`, error);
+    }
+};
+
+/**
+ * Check whether a named slash command argument is set to true
+ * @param {string|undefined} value - Argument value
+ * @returns {boolean} - Whether the argument is true
+ */
+function isTrueArgument(value) {
+    return ['true', 'on', 'yes', '1'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Get the memory owner a slash command works on
+ * @param {object} args - Named arguments, char= selects a character by name
+ * @returns {string|null} - Character avatar or group memory key, null if there is none
+ */
+function resolveMemoryOwner(args) {
+    const context = getContext();
+    
+    if (args?.char) {
+        const name = String(args.char).trim().toLowerCase();
+        return context.characters.find(char => char.name.toLowerCase() === name)?.avatar || null;
+    }
+    
+    if (context.groupId) {
+        return getGroupOwnerKey(context.groupId);
+    }
+    
+    return context.characters[context.characterId]?.avatar || null;
+}
+
+/**
+ * Format memories for slash command output
+ * @param {object[]} memories - Memory records
+ * @param {string} [format] - 'json' for a JSON array, anything else for one line per memory
+ * @returns {string} - Formatted memories
+ */
+function formatMemoriesForCommand(memories, format) {
+    if (String(format).toLowerCase() === 'json') {
+        return JSON.stringify(memories);
+    }
+    
+    return memories.map(memory => {
+        const flags = [
+            memory.category,
+            ...(memory.stale ? ['stale'] : []),
+            ...(memory.supersededBy ? [`superseded by ${memory.supersededBy}`] : []),
+            ...(memory.verification?.status === 'unsupported' ? ['unsupported'] : []),
+            ...(memory.citations?.length > 0 ? [`cites ${memory.citations.map(id => `#${id}`).join(' ')}`] : []),
+        ];
+        return `[${memory.id}] (${flags.join(', ')}) ${memory.text}`;
+    }).join('\n');
+}
+
+// Slash command for manual memory update
+registerSlashCommand('memoryupdate', async (args) => {
+    if (!getEffectiveSettings().enabled) {
+        return `${displayName} is disabled. Enable it in the extensions settings first.`;
+    }
+    
+    // Force memory update of everything since the last summarized message
+    const dryRun = isTrueArgument(args?.dry);
+    const options = {
+        force: true,
+        count: Math.max(0, Number(args?.count) || 0),
+        reason: "requested with /memoryupdate",
+        dryRun,
+    };
+    
+    if (!await getDueRange(options)) {
+        return describeNothingDue();
+    }
+    
+    // Waits for the memory updates queued before this one
+    let result;
+    try {
+        result = await waitForJob(queueMemoryUpdate(options).id);
+    } catch (error) {
+        return "Memory update stopped: " + error.message;
+    }
+    
+    if (!result) {
+        const reason = describeNothingDue();
+        return getContext().getCurrentChatId() && getEffectiveSettings().enabled
+            ? "The memory updates queued before this one already summarized these messages."
+            : reason;
+    }
+    
+    const items = dryRun ? result.added : [...result.added, ...result.queued];
+    if (items.length === 0 && result.rejected.length === 0) {
+        return `No new information in messages ${result.range.start}-${result.range.end}.`;
+    }
+    
+    return [
+        ...items.map(item => `• ${item.text}${item.verification?.status === 'unsupported' ? ' (unsupported)' : ''}`),
+        ...result.rejected.map(item => `✗ ${item.text} (dropped: ${item.verification.reason})`),
+    ].join('\n');
+}, [], "Summarize the messages since the last memory update. <code>count=N</code> summarizes only the next N messages, <code>dry=true</code> returns the new memories without saving them");
+
+// Slash command to list memories
+registerSlashCommand('memoryshow', async (args) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner) {
+        return "";
+    }
+    
+    return formatMemoriesForCommand(getMemories(owner), args?.format);
+}, [], "List the memories of the current character (or <code>char=name</code>) with their IDs. <code>format=json</code> returns a JSON array");
+
+// Slash command to search memories
+registerSlashCommand('memorysearch', async (args, query) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner || !query) {
+        return "";
+    }
+    
+    const matches = searchMemories(owner, String(query)).map(match => match.memory);
+    return formatMemoriesForCommand(matches, args?.format);
+}, [], "<code>query</code> – find memories of the current character (or <code>char=name</code>) by text, best matches first");
+
+// Slash command to add a memory by hand
+registerSlashCommand('memoryadd', async (args, text) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner || !text || !String(text).trim()) {
+        return "";
+    }
+    
+    const saved = await updateCharacterNotes(owner, [String(text)], {
+        chatId: getContext().getCurrentChatId() || null,
+        category: args?.category ? String(args.category) : 'general',
+    });
+    
+    if (!saved) {
+        return "";
+    }
+    
+    const memories = getMemories(owner);
+    return memories[memories.length - 1].id;
+}, [], "<code>text</code> – add a memory to the current character (or <code>char=name</code>), optionally with <code>category=</code>. Returns the new memory ID");
+
+// Slash command to forget a memory
+registerSlashCommand('memoryforget', async (args, target) => {
+    const owner = resolveMemoryOwner(args);
+    const query = String(target ?? '').trim();
+    
+    if (!owner || !query) {
+        return "";
+    }
+    
+    let memory = findMemory(owner, query);
+    
+    // Without an ID, only a single close match is deleted
+    if (!memory) {
+        const matches = searchMemories(owner, query, 0.5);
+        
+        if (matches.length !== 1 || matches[0].score < FORGET_MIN_SCORE) {
+            return matches.length > 0
+                ? ["No single memory matches closely enough. Forget one of these by its ID:", ...matches.slice(0, 5).map(match => `[${match.memory.id}] ${match.memory.text}`)].join('\n')
+                : "";
+        }
+        
+        memory = matches[0].memory;
+    }
+    
+    if (!await deleteMemory(owner, memory.id)) {
+        return "";
+    }
+    
+    return memory.id;
+}, [], "<code>id|query</code> – delete a memory of the current character (or <code>char=name</code>) by ID, or the only memory closely matching the query. Returns the deleted memory ID, or the candidates if the query matches several memories or none closely");
+
+// Slash command to edit a memory
+registerSlashCommand('memoryedit', async (args, value) => {
+    const owner = resolveMemoryOwner(args);
+    const match = /^(\S+)\s+([\s\S]+)$/.exec(String(value ?? '').trim());
+    
+    if (!owner || !match) {
+        return "";
+    }
+    
+    const [, id, text] = match;
+    return await editMemory(owner, id, text) ? id : "";
+}, [], "<code>id text</code> – replace the text of a memory of the current character (or <code>char=name</code>). Returns the memory ID");
+
+// Slash command to report the memory state of the current chat
+registerSlashCommand('memorystatus', async (args) => {
+    const context = getContext();
+    const chatId = context.getCurrentChatId();
+    const owner = resolveMemoryOwner(args);
+    const activeSettings = getEffectiveSettings();
+    
+    if (!chatId) {
+        return JSON.stringify({ enabled: activeSettings.enabled, chatId: null });
+    }
+    
+    const cursor = getSummarizationCursor(activeSettings.messagesBeforeSummarize);
+    
+    return JSON.stringify({
+        enabled: activeSettings.enabled,
+        chatId,
+        lastSummarizedIndex: cursor,
+        chatLength: context.chat.length,
+        unsummarizedMessages: context.chat.length - cursor - 1,
+        pendingReview: getPendingMemories().length,
+        memories: owner ? getMemories(owner).length : 0,
+        staleMemories: owner ? getMemories(owner).filter(memory => memory.stale).length : 0,
+        processing: !!findActiveJob(job => job.status === 'running' && job.chatId === chatId),
+        queuedJobs: getJobs().filter(job => job.status === 'queued' && job.chatId === chatId).length,
+    });
+}, [], "Return the memory state of the current chat as JSON: summarization cursor, unsummarized and pending message counts");
+
+/**
+ * Show the backfill state of the current chat in the settings
+ */
+function updateBackfillStatus() {
+    const state = getContext().getCurrentChatId() ? getBackfillState() : null;
+    let status = "No backfill in progress.";
+    
+    if (state) {
+        const { done, total } = getBackfillProgress(state);
+        status = `Backfill of messages ${state.start}-${state.end}: ${done}/${total} chunks done${isBackfillRunning() ? '' : ' (paused)'}`;
+    }
+    
+    $('#memory-manager-backfill-status').text(status);
+}
+
+// Backfill jobs run or resume the backfill of their chat
+registerJobHandler('backfill', async (job, { signal, setProgress }) => {
+    try {
+        const outcome = await runBackfill(async (range) => {
+            await summarizeRange(range, { signal });
+            
+            // Messages covered by the backfill don't need to be summarized again
+            if (range.end > getSummarizationCursor(getEffectiveSettings().messagesBeforeSummarize)) {
+                setSummarizationCursor(range.end);
+            }
+        }, (state) => {
+            const { done, total } = getBackfillProgress(state);
+            setProgress(done, total);
+            updateBackfillStatus();
+            
+            if (settings.showNotifications) {
+                showNotification(`Backfilling memories: chunk ${done + 1}/${total}...`);
+            }
+        }, signal);
+        
+        // Cancelled between two chunks
+        signal.throwIfAborted();
+        
+        const results = {
+            completed: "Backfill completed.",
+            interrupted: "Backfill paused. Run /memorybackfill in this chat to resume.",
+        };
+        
+        if (settings.showNotifications) {
+            showNotification(results[outcome]);
+        }
+        
+        return { message: results[outcome], result: results[outcome] };
+    } catch (error) {
+        if (signal.aborted) {
+            if (settings.showNotifications) {
+                showNotification("Backfill cancelled. Run /memorybackfill to resume.");
+            }
+        } else {
+            console.error(`${displayName} backfill error:`, error);
+            if (settings.showNotifications) {
+                showNotification("Backfill stopped: " + error.message, true);
+            }
+        }
+        throw error;
+    } finally {
+        updateBackfillStatus();
+    }
+});
+
+/**
+ * Find the backfill job of the current chat that is waiting or running
+ * @returns {import('./job-queue.js').Job|undefined} - Backfill job
+ */
+function findBackfillJob() {
+    const chatId = getContext().getCurrentChatId();
+    return findActiveJob(job => job.type === 'backfill' && job.chatId === chatId);
+}
+
+/**
+ * Start a new backfill, or resume the unfinished one of the current chat
+ * @param {number|undefined} from - First message index, starts a new backfill when set
+ * @param {number|undefined} to - Last message index, starts a new backfill when set
+ * @returns {Promise<string>} - Result description
+ */
+async function startMemoryBackfill(from, to) {
+    const context = getContext();
+    
+    if (!getEffectiveSettings().enabled) {
+        return `${displayName} is disabled. Enable it in the extensions settings first.`;
+    }
+    
+    if (!context.getCurrentChatId() || !context.chat.length) {
+        return "No chat to backfill.";
+    }
+    
+    if (findBackfillJob() || isBackfillRunning()) {
+        return "A backfill is already running.";
+    }
+    
+    if (from !== undefined || to !== undefined || !getBackfillState()) {
+        createBackfill(Number(from) || 0, to !== undefined ? Number(to) : context.chat.length - 1, getEffectiveSettings().messagesBeforeSummarize);
+    }
+    
+    try {
+        return await runJob({
+            type: 'backfill',
+            label: "Backfill chat history",
+            owners: getCurrentMemoryOwners(),
+            chatId: context.getCurrentChatId(),
+        });
+    } catch (error) {
+        return `Backfill stopped: ${error.message} Run /memorybackfill to resume.`;
+    }
+}
+
+/**
+ * Cancel the backfill of the current chat. Its progress is kept for resuming.
+ * @returns {string} - Result description
+ */
+function cancelMemoryBackfill() {
+    const job = findBackfillJob();
+    
+    if (!job) {
+        return "No backfill is running.";
+    }
+    
+    cancelJob(job.id);
+    return "Backfill cancelled. Run /memorybackfill to resume.";
+}
+
+// Slash command to backfill memories from the chat history
+registerSlashCommand('memorybackfill', async (args, value) => {
+    if (String(value ?? '').trim().toLowerCase() === 'cancel') {
+        return cancelMemoryBackfill();
+    }
+    
+    return await startMemoryBackfill(args?.from, args?.to);
+}, [], "Summarize the whole chat history (or <code>from=</code>/<code>to=</code> message IDs) in chunks. Run it again to resume a stopped backfill, <code>/memorybackfill cancel</code> stops it");
+
+// Slash command to consolidate memories
+registerSlashCommand('memoryconsolidate', async () => {
+    const owners = getCurrentMemoryOwners();
+    
+    if (owners.length === 0) {
+        return "No character selected.";
+    }
+    
+    const results = [];
+    for (const owner of owners) {
+        try {
+            results.push(await runJob({
+                type: 'consolidate',
+                label: "Consolidate memories",
+                owners: [owner],
+                chatId: getContext().getCurrentChatId(),
+                params: { owner },
+            }));
+        } catch (error) {
+            results.push("Consolidation stopped: " + error.message);
+        }
+    }
+    
+    return results.join('\n');
+}, [], "Merge older memories of the current character into a compact summary, keeping recent ones as they are");
+
+// Slash command to reopen the review queue
+registerSlashCommand('memoryreview', async () => {
+    const pendingCount = getPendingMemories().length;
+    
+    if (pendingCount === 0) {
+        return "No memories waiting for review.";
+    }
+    
+    showReviewPopup();
+    return `${pendingCount} memories waiting for review.`;
+}, [], "Review candidate memories waiting in the queue of the current chat");
+
+// Slash command to summarize changed messages again
+registerSlashCommand('memoryrefresh', async () => {
+    const { job } = await checkSourceChanges({ resummarize: true });
+    
+    if (!job) {
+        return "No summarized messages have changed.";
+    }
+    
+    try {
+        const changed = await waitForJob(job.id);
+        return `Summarized ${changed} changed message ranges again.`;
+    } catch (error) {
+        return "Re-summarization stopped: " + error.message;
+    }
+}, [], "Summarize the message ranges that were edited, deleted or swiped since they were summarized, replacing their stale memories");
+
+// Slash command to return the tracked relationships
+registerSlashCommand('memoryrelationships', async (args) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner || isGroupOwner(owner)) {
+        return "";
+    }
+    
+    return JSON.stringify(Object.values(getRelationships(owner)));
+}, [], "Return the tracked relationships of the current character (or <code>char=name</code>) as JSON");
+
+/**
+ * Export the memories of a character or group as text
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} format - "json" or "markdown"
+ * @returns {{text: string, fileName: string, contentType: string}} - Exported text and how to save it
+ */
+function exportMemoryFile(owner, format) {
+    const baseName = `${getOwnerName(owner).replace(/[\\/:*?"<>|]/g, '_')} memories`;
+    
+    if (format === 'markdown' || format === 'md') {
+        return { text: exportMemoriesMarkdown(owner), fileName: `${baseName}.md`, contentType: 'text/markdown' };
+    }
+    
+    return { text: JSON.stringify(exportMemoriesJson(owner), null, 2), fileName: `${baseName}.json`, contentType: 'application/json' };
+}
+
+/**
+ * Import exported memories into a character or group
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} text - JSON or Markdown export
+ * @returns {Promise<string>} - Result description. Rejects if the text can't be read as an export.
+ */
+async function importMemoryText(owner, text) {
+    const imported = parseMemoryExport(text);
+    const { added, duplicates, renamed } = await importMemories(owner, imported, { threshold: settings.duplicateThreshold });
+    
+    return `Imported ${added} memories${imported.source ? ` of ${imported.source}` : ''} into ${getOwnerName(owner)}, skipped ${duplicates} duplicates`
+        + (renamed > 0 ? `, gave ${renamed} memories a new ID as theirs was taken.` : '.');
+}
+
+// Slash command to export memories
+registerSlashCommand('memoryexport', async (args) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner) {
+        return "";
+    }
+    
+    const file = exportMemoryFile(owner, String(args?.format ?? 'json').toLowerCase());
+    
+    if (isTrueArgument(args?.download)) {
+        download(file.text, file.fileName, file.contentType);
+    }
+    
+    return file.text;
+}, [], "Return the memories of the current character (or <code>char=name</code>) with their details as versioned JSON, or as Markdown with <code>format=markdown</code>. <code>download=true</code> also saves them as a file");
+
+// Slash command to import memories
+registerSlashCommand('memoryimport', async (args, text) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner) {
+        return "No character selected.";
+    }
+    
+    try {
+        return await importMemoryText(owner, String(text ?? ''));
+    } catch (error) {
+        return "Import failed: " + error.message;
+    }
+}, [], "<code>text</code> – import memories exported as JSON or Markdown into the current character (or <code>char=name</code>), skipping duplicates. Returns what was imported");
+
+// Slash command to return the story summaries of the chat
+registerSlashCommand('memorystory', async (args) => {
+    const level = String(args?.level ?? 'arc').toLowerCase();
+    
+    if (!(level in STORY_LEVELS)) {
+        return `Unknown level "${level}". Use ${Object.keys(STORY_LEVELS).join(', ')}.`;
+    }
+    
+    return renderStorySoFar(level) || "No story summaries in this chat yet.";
+}, [], "Return the story so far of the current chat, told with arc summaries and the scene and window summaries not rolled up yet. <code>level=scene</code> or <code>level=window</code> tells it in more detail");
+
+// Slash command to show the memories chosen for the last prompt
+registerSlashCommand('memoryinjected', async (args) => {
+    if (String(args?.format).toLowerCase() === 'json') {
+        return JSON.stringify(lastInjectionReport);
+    }
+    
+    showInjectionReport(lastInjectionReport);
+    return "";
+}, [], "Show which memories were put into the last prompt and why. <code>format=json</code> returns the report instead");
+
+// Slash command to undo the last memory change
+registerSlashCommand('memoryundo', async (args) => {
+    const owner = resolveMemoryOwner(args);
+    
+    if (!owner) {
+        return "No character selected.";
+    }
+    
+    const snapshot = await undoLastChange(owner);
+    
+    if (!snapshot) {
+        return "Nothing to undo.";
+    }
+    
+    return `Undid ${snapshot.reason} from ${new Date(snapshot.createdAt).toLocaleString()}.`;
+}, [], "Undo the last change to the memories of the current character (or <code>char=name</code>). Run it again to go back further");
+
+// Slash command to browse or restore memory snapshots
+registerSlashCommand('memoryhistory', async (args, value) => {
+    const owner = resolveMemoryOwner(args);
+    const snapshotId = String(value ?? '').trim();
+    
+    if (!owner) {
+        return "No character selected.";
+    }
+    
+    if (snapshotId) {
+        return await restoreSnapshot(owner, snapshotId) ? `Restored snapshot ${snapshotId}.` : `Snapshot ${snapshotId} not found.`;
+    }
+    
+    if (isTrueArgument(args?.list)) {
+        return getSnapshots(owner)
+            .map(snapshot => `[${snapshot.id}] ${new Date(snapshot.createdAt).toLocaleString()} – before ${snapshot.reason} (${snapshot.memories.length} memories)`)
+            .join('\n');
+    }
+    
+    showHistoryPopup(owner);
+    return "";
+}, [], "Browse the memory snapshots of the current character (or <code>char=name</code>). <code>list=true</code> returns them as text, <code>/memoryhistory id</code> restores a snapshot");
+
+// Settings UI
+function renderSettings() {
+    const settingsHtml = `
+    <div id="memory_manager_settings">
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-enabled" type="checkbox" ${settings.enabled ? 'checked' : ''} />
+                <span>Enable Character Memory Manager</span>
+            </label>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-message-count">Number of messages before summarization:</label>
+            <input id="memory-manager-message-count" type="number" min="5" max="100" value="${settings.messagesBeforeSummarize}" />
+            <label for="memory-manager-count-mode">Messages counted:</label>
+            <select id="memory-manager-count-mode">
+                <option value="user" ${settings.triggerCountMode === 'user' ? 'selected' : ''}>Messages you send</option>
+                <option value="all" ${settings.triggerCountMode === 'all' ? 'selected' : ''}>All messages, including character replies</option>
+            </select>
+            <label for="memory-manager-trigger-tokens">Unsummarized tokens before summarization (0 = off):</label>
+            <input id="memory-manager-trigger-tokens" type="number" min="0" max="100000" value="${settings.triggerTokenThreshold}" />
+            <label for="memory-manager-trigger-idle">Summarize after this many minutes without a new message (0 = off):</label>
+            <input id="memory-manager-trigger-idle" type="number" min="0" max="1440" value="${settings.triggerIdleMinutes}" />
+            <label class="checkbox_label">
+                <input id="memory-manager-trigger-chat-switch" type="checkbox" ${settings.triggerOnChatSwitch ? 'checked' : ''} />
+                <span>Summarize a chat when you leave or close it</span>
+            </label>
+            <label class="checkbox_label">
+                <input id="memory-manager-trigger-scene-break" type="checkbox" ${settings.triggerOnSceneBreak ? 'checked' : ''} />
+                <span>Summarize at scene breaks</span>
+            </label>
+            <label for="memory-manager-scene-break-markers">Scene break markers:</label>
+            <textarea id="memory-manager-scene-break-markers" rows="4">${escapeHtml(settings.sceneBreakMarkers)}</textarea>
+            <div class="memory-manager-hint">Memories are updated as soon as any of these fires; the notification and the browser console say which one. Scene break markers are matched in new messages, one per line, as text or as /regex/flags. The scene before the break is summarized. A chat you leave is summarized when you open it again</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-override-level">Override settings for:</label>
+            <select id="memory-manager-override-level">
+                <option value="character">This character (or group)</option>
+                <option value="chat">This chat</option>
+            </select>
+            <div id="memory-manager-override-list"></div>
+            <div class="memory-manager-hint">Checked settings replace the global ones below. A chat override wins over a character override, which wins over the global setting; the label shows which level applies now. The API key can only be overridden for a character, so it's never saved in a chat</div>
+        </div>
+
+        <div class="memory-manager-block">
+            <label>Chat history backfill:</label>
+            <div id="memory-manager-backfill-status" class="memory-manager-hint">No backfill in progress.</div>
+            <input id="memory-manager-backfill" class="menu_button" type="button" value="Backfill / resume" />
+            <input id="memory-manager-backfill-cancel" class="menu_button" type="button" value="Cancel backfill" />
+            <div class="memory-manager-hint">Summarizes the whole chat in chunks of the message count above. A stopped backfill resumes where it left off</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label>Memory jobs:</label>
+            <div id="memory-manager-job-list"></div>
+            <input id="memory-manager-jobs-clear" class="menu_button" type="button" value="Clear finished jobs" />
+            <div class="memory-manager-hint">Summarizations, consolidations and backfills wait here for their turn and run one at a time per character. Waiting jobs are kept across reloads and run when their chat is open. Cancelling a running job stops its model request</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-notifications" type="checkbox" ${settings.showNotifications ? 'checked' : ''} />
+                <span>Show notifications</span>
+            </label>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-duplicate-threshold">Duplicate similarity threshold: <span id="memory-manager-duplicate-threshold-value">${settings.duplicateThreshold}</span></label>
+            <input id="memory-manager-duplicate-threshold" type="range" min="0.5" max="1" step="0.05" value="${settings.duplicateThreshold}" />
+            <div class="memory-manager-hint">New memories at least this similar to an existing memory are skipped. Lower values catch looser paraphrases</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-verify">Check new memories against their source messages:</label>
+            <select id="memory-manager-verify">
+                <option value="off" ${settings.verifyMemories === 'off' ? 'selected' : ''}>Off</option>
+                <option value="flag" ${settings.verifyMemories === 'flag' ? 'selected' : ''}>Keep unsupported memories, flagged</option>
+                <option value="drop" ${settings.verifyMemories === 'drop' ? 'selected' : ''}>Drop unsupported memories</option>
+            </select>
+            <div class="memory-manager-hint">The summary must cite the IDs of the messages each memory comes from, and a second request checks the memory against them. Memories citing nothing, or that their messages don't back up, are unsupported. The citations are kept with the memory</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-contradiction-check">Check new memories for contradictions:</label>
+            <select id="memory-manager-contradiction-check">
+                <option value="off" ${settings.contradictionCheck === 'off' ? 'selected' : ''}>Off</option>
+                <option value="heuristic" ${settings.contradictionCheck === 'heuristic' ? 'selected' : ''}>Word cues</option>
+                <option value="model" ${settings.contradictionCheck === 'model' ? 'selected' : ''}>Summarization model, word cues as fallback</option>
+            </select>
+            <label for="memory-manager-superseded-display">Outdated memories in the notes:</label>
+            <select id="memory-manager-superseded-display">
+                <option value="hide" ${settings.supersededDisplay === 'hide' ? 'selected' : ''}>Leave out</option>
+                <option value="mark" ${settings.supersededDisplay === 'mark' ? 'selected' : ''}>Keep, marked as outdated</option>
+            </select>
+            <div class="memory-manager-hint">An older memory that a new one contradicts, like "Alice and Bob are dating" after "Alice broke up with Bob", is marked as superseded by it. It stays in the store and comes back if the newer memory is forgotten</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-review" type="checkbox" ${settings.reviewMemories ? 'checked' : ''} />
+                <span>Review new memories before they are saved</span>
+            </label>
+            <div class="memory-manager-hint">Candidate memories wait in a queue until you accept, edit or reject them</div>
+            <input id="memory-manager-open-review" class="menu_button" type="button" value="Review pending memories" />
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-user-facts-persona" type="checkbox" ${settings.userFactsToPersona ? 'checked' : ''} />
+                <span>Write facts about {{user}} to the persona description</span>
+            </label>
+            <div class="memory-manager-hint">Facts about you are added to a "Memory Manager: User Facts" section at the end of the active persona instead of the character notes. Facts the persona already describes are always skipped</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-target">Write memories to:</label>
+            <select id="memory-manager-target">
+                <option value="notes" ${settings.memoryTarget === 'notes' ? 'selected' : ''}>Character notes</option>
+                <option value="lorebook" ${settings.memoryTarget === 'lorebook' ? 'selected' : ''}>Lorebook</option>
+                <option value="both" ${settings.memoryTarget === 'both' ? 'selected' : ''}>Both</option>
+                <option value="store" ${settings.memoryTarget === 'store' ? 'selected' : ''}>Memory store only (for prompt injection)</option>
+            </select>
+            <div id="memory-manager-lorebook-settings" style="display: ${['lorebook', 'both'].includes(settings.memoryTarget) ? 'block' : 'none'}">
+                <label for="memory-manager-lorebook-name">Lorebook name:</label>
+                <input id="memory-manager-lorebook-name" type="text" value="${settings.lorebookName}" placeholder="Automatic: one lorebook per character" />
+                <div class="memory-manager-hint">Each memory becomes an entry keyed by the names it mentions. Leave empty to create "&lt;character&gt; Memories" lorebooks automatically</div>
+            </div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-inject" type="checkbox" ${settings.injectMemories ? 'checked' : ''} />
+                <span>Inject the memories relevant to the recent messages</span>
+            </label>
+            <div id="memory-manager-injection-settings" style="display: ${settings.injectMemories ? 'block' : 'none'}">
+                <label for="memory-manager-injection-max">Most memories to inject:</label>
+                <input id="memory-manager-injection-max" type="number" min="1" max="100" value="${settings.injectionMaxMemories}" />
+                <label for="memory-manager-injection-budget">Injection token budget:</label>
+                <input id="memory-manager-injection-budget" type="number" min="50" max="10000" value="${settings.injectionTokenBudget}" />
+                <label for="memory-manager-injection-context">Recent messages to match against:</label>
+                <input id="memory-manager-injection-context" type="number" min="1" max="50" value="${settings.injectionContextMessages}" />
+                <label for="memory-manager-injection-position">Position:</label>
+                <select id="memory-manager-injection-position">
+                    <option value="${extension_prompt_types.IN_PROMPT}" ${Number(settings.injectionPosition) === extension_prompt_types.IN_PROMPT ? 'selected' : ''}>After the main prompt</option>
+                    <option value="${extension_prompt_types.IN_CHAT}" ${Number(settings.injectionPosition) === extension_prompt_types.IN_CHAT ? 'selected' : ''}>In chat at depth</option>
+                    <option value="${extension_prompt_types.BEFORE_PROMPT}" ${Number(settings.injectionPosition) === extension_prompt_types.BEFORE_PROMPT ? 'selected' : ''}>Before the main prompt</option>
+                </select>
+                <label for="memory-manager-injection-depth">Depth:</label>
+                <input id="memory-manager-injection-depth" type="number" min="0" max="100" value="${settings.injectionDepth}" />
+                <label for="memory-manager-injection-role">Role:</label>
+                <select id="memory-manager-injection-role">
+                    <option value="${extension_prompt_roles.SYSTEM}" ${Number(settings.injectionRole) === extension_prompt_roles.SYSTEM ? 'selected' : ''}>System</option>
+                    <option value="${extension_prompt_roles.USER}" ${Number(settings.injectionRole) === extension_prompt_roles.USER ? 'selected' : ''}>User</option>
+                    <option value="${extension_prompt_roles.ASSISTANT}" ${Number(settings.injectionRole) === extension_prompt_roles.ASSISTANT ? 'selected' : ''}>Assistant</option>
+                </select>
+                <div class="memory-manager-hint">Before each generation, memories are scored against the recent messages by shared words (BM25) and the names they mention, and the best ones that fit the budget are added. Depth and role apply to the in-chat position. Pair with "Memory store only" to stop sending every memory in the character notes</div>
+                <input id="memory-manager-show-injection" class="menu_button" type="button" value="Show injected memories" />
+            </div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-browser-owner">Browse memories of:</label>
+            <select id="memory-manager-browser-owner"></select>
+            <div class="memory-manager-browser-filters">
+                <select id="memory-manager-browser-category">
+                    <option value="">All categories</option>
+                    ${Object.entries(MEMORY_CATEGORIES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                </select>
+                <select id="memory-manager-browser-chat">
+                    <option value="">All chats</option>
+                </select>
+                <input id="memory-manager-browser-from" type="date" title="From" />
+                <input id="memory-manager-browser-to" type="date" title="To" />
+                <input id="memory-manager-browser-search" type="search" placeholder="Search memories" />
+            </div>
+            <div id="memory-manager-browser-status" class="memory-manager-hint" style="display: none"></div>
+            <div id="memory-manager-browser-list"></div>
+            <div class="memory-manager-hint">Edit a memory in place, pin it to always inject it and keep it out of consolidation, or click its message range to jump to the messages it came from</div>
+            <div class="memory-manager-transfer">
+                <input id="memory-manager-export-json" class="menu_button" type="button" value="Export JSON" />
+                <input id="memory-manager-export-markdown" class="menu_button" type="button" value="Export Markdown" />
+                <input id="memory-manager-import" class="menu_button" type="button" value="Import" />
+                <input id="memory-manager-import-file" type="file" accept=".json,.md,.markdown,.txt" hidden />
+            </div>
+            <div class="memory-manager-hint">Exports and imports the memories of the character selected above. Imported memories that repeat existing ones are skipped</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-track-relationships" type="checkbox" ${settings.trackRelationships ? 'checked' : ''} />
+                <span>Track relationships</span>
+            </label>
+            <label class="checkbox_label">
+                <input id="memory-manager-inject-relationships" type="checkbox" ${settings.injectRelationships ? 'checked' : ''} />
+                <span>Add the relationships to the prompt</span>
+            </label>
+            <div class="memory-manager-hint">After each summary, the summarization model updates the status, affinity, trust, shared events and open promises of each character towards the people they met. The prompt block uses the position, depth and role of memory injection</div>
+            <label for="memory-manager-relationship-owner">Relationships of:</label>
+            <select id="memory-manager-relationship-owner"></select>
+            <div id="memory-manager-relationship-list"></div>
+            <div class="memory-manager-relationship-add">
+                <input id="memory-manager-relationship-name" type="text" placeholder="Name" />
+                <input id="memory-manager-relationship-add" class="menu_button" type="button" value="Add relationship" />
+            </div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-auto-consolidate" type="checkbox" ${settings.autoConsolidate ? 'checked' : ''} />
+                <span>Consolidate memories when they exceed the token budget</span>
+            </label>
+            <label for="memory-manager-consolidation-budget">Memory token budget:</label>
+            <input id="memory-manager-consolidation-budget" type="number" min="100" max="100000" value="${settings.consolidationTokenBudget}" />
+            <label for="memory-manager-recent-memories">Recent memories kept verbatim:</label>
+            <input id="memory-manager-recent-memories" type="number" min="0" max="1000" value="${settings.recentMemoriesToKeep}" />
+            <label for="memory-manager-consolidation-prompt">Consolidation Prompt:</label>
+            <textarea id="memory-manager-consolidation-prompt" rows="3">${settings.consolidationPrompt}</textarea>
+            <div class="memory-manager-hint">Older memories are merged into a compact summary by the summarization model. Use /memoryundo to revert a consolidation. Use /memoryconsolidate to run it manually</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-story-summaries" type="checkbox" ${settings.storySummaries ? 'checked' : ''} />
+                <span>Keep scene and arc summaries</span>
+            </label>
+            <label for="memory-manager-windows-per-scene">Summaries per scene:</label>
+            <input id="memory-manager-windows-per-scene" type="number" min="2" max="50" value="${settings.windowsPerScene}" />
+            <label for="memory-manager-scenes-per-arc">Scenes per arc:</label>
+            <input id="memory-manager-scenes-per-arc" type="number" min="2" max="50" value="${settings.scenesPerArc}" />
+            <label class="checkbox_label">
+                <input id="memory-manager-inject-story" type="checkbox" ${settings.injectStory ? 'checked' : ''} />
+                <span>Add the story so far to the prompt</span>
+            </label>
+            <label for="memory-manager-story-budget">Story token budget:</label>
+            <input id="memory-manager-story-budget" type="number" min="50" max="10000" value="${settings.storyTokenBudget}" />
+            <div class="memory-manager-hint">Each summary is kept in the chat with its message range. Consecutive summaries are rolled up into a scene summary, and consecutive scenes into an arc summary. The prompt block uses the arcs, then the scenes and summaries not rolled up yet, leaving out the oldest ones beyond the budget. Use /memorystory to get it as text</div>
+            <div class="memory-manager-story-show">
+                <select id="memory-manager-story-level">
+                    <option value="arc">Arcs</option>
+                    <option value="scene">Scenes</option>
+                    <option value="window">Single summaries</option>
+                </select>
+                <input id="memory-manager-show-story" class="menu_button" type="button" value="Show the story so far" />
+            </div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-resummarize-stale" type="checkbox" ${settings.resummarizeStale ? 'checked' : ''} />
+                <span>Summarize edited, deleted or swiped messages again</span>
+            </label>
+            <div class="memory-manager-hint">Memories whose source messages changed are marked stale. When enabled, their messages are summarized again and the stale memories replaced. Use /memoryrefresh to do it manually</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-history-retention">Snapshots kept per character:</label>
+            <input id="memory-manager-history-retention" type="number" min="0" max="100" value="${settings.historyRetention}" />
+            <div class="memory-manager-hint">A snapshot is taken before every change to the memories. Use /memoryundo to revert the last one</div>
+            <input id="memory-manager-open-history" class="menu_button" type="button" value="Memory history" />
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-group-mode">Group chat memories:</label>
+            <select id="memory-manager-group-mode">
+                <option value="participants" ${settings.groupMemoryMode === 'participants' ? 'selected' : ''}>Each participating character</option>
+                <option value="shared" ${settings.groupMemoryMode === 'shared' ? 'selected' : ''}>Shared group memory</option>
+                <option value="both" ${settings.groupMemoryMode === 'both' ? 'selected' : ''}>Both</option>
+            </select>
+            <div class="memory-manager-hint">Memories naming a specific character go to that character, the rest go to everyone who spoke</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-separate-model" type="checkbox" ${settings.useSeparateModel ? 'checked' : ''} />
+                <span>Use separate model for summarization</span>
+            </label>
+        </div>
+        
+        <div id="memory-manager-separate-model-settings" class="memory-manager-block" style="display: ${settings.useSeparateModel ? 'block' : 'none'}">
+            <label for="memory-manager-model-provider">Provider:</label>
+            <select id="memory-manager-model-provider">
+                ${Object.entries(PROVIDERS).map(([key, provider]) => `<option value="${key}" ${settings.separateModelProvider === key ? 'selected' : ''}>${provider.label}</option>`).join('')}
+            </select>
+            
+            <label for="memory-manager-model-endpoint">Model Endpoint URL:</label>
+            <input id="memory-manager-model-endpoint" type="text" value="${settings.separateModelEndpoint}" placeholder="${PROVIDERS[settings.separateModelProvider]?.placeholder || ''}" />
+            
+            <label for="memory-manager-model-api-key">API Key (optional):</label>
+            <input id="memory-manager-model-api-key" type="password" value="${settings.separateModelApiKey}" placeholder="API Key" />
+            
+            <label for="memory-manager-model-name">Model name:</label>
+            <input id="memory-manager-model-name" type="text" value="${settings.separateModelName}" placeholder="${PROVIDERS[settings.separateModelProvider]?.defaultModel || 'Not needed'}" />
+            
+            <label for="memory-manager-model-max-tokens">Max response tokens:</label>
+            <input id="memory-manager-model-max-tokens" type="number" min="16" max="32000" value="${settings.separateModelMaxTokens}" />
+            
+            <label for="memory-manager-model-temperature">Temperature:</label>
+            <input id="memory-manager-model-temperature" type="number" min="0" max="2" step="0.05" value="${settings.separateModelTemperature}" />
+            
+            <label for="memory-manager-model-top-p">Top P:</label>
+            <input id="memory-manager-model-top-p" type="number" min="0" max="1" step="0.05" value="${settings.separateModelTopP}" />
+            
+            <label for="memory-manager-model-timeout">Timeout (seconds):</label>
+            <input id="memory-manager-model-timeout" type="number" min="5" max="600" value="${settings.separateModelTimeout}" />
+            
+            <label for="memory-manager-model-retries">Retries:</label>
+            <input id="memory-manager-model-retries" type="number" min="0" max="10" value="${settings.separateModelRetries}" />
+            <div class="memory-manager-hint">Failed requests (network errors, timeouts, 429 and 5xx responses) are retried with increasing delays</div>
+            
+            <input id="memory-manager-model-test" class="menu_button" type="button" value="Test connection" />
+        </div>
+        
+        <div class="memory-manager-block">
+            <label class="checkbox_label">
+                <input id="memory-manager-structured-output" type="checkbox" ${settings.structuredOutput ? 'checked' : ''} />
+                <span>Ask for structured JSON summaries with categories</span>
+            </label>
+            <div class="memory-manager-hint">Memories are sorted into events, relationship changes, promises, facts about {{char}} and {{user}}, and locations/items. Malformed responses fall back to plain list parsing</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-chunk-tokens">Transcript tokens per summarization request:</label>
+            <input id="memory-manager-chunk-tokens" type="number" min="0" max="200000" value="${settings.summaryChunkTokens}" />
+            <div class="memory-manager-hint">Longer transcripts are summarized in parts that are then merged into one summary. Counted with the tokenizer of the current API, which is only approximate for a separate model, so there at least one token per 3 characters is assumed; 0 sends everything at once</div>
+        </div>
+        
+        <div class="memory-manager-block">
+            <label for="memory-manager-summarization-prompt">Summarization Prompt:</label>
+            <textarea id="memory-manager-summarization-prompt" rows="4">${settings.summarizationPrompt}</textarea>
+            <div class="memory-manager-hint">Use {{user}} for user name, {{char}} for character name, and {{count}} for number of messages</div>
+        </div>
+    </div>`;
+    
+    return settingsHtml;
+}
+
+// Settings handlers
+$(document).on('click', '#memory-manager-enabled', function() {
+    settings.enabled = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-message-count', function() {
+    settings.messagesBeforeSummarize = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-count-mode', function() {
+    settings.triggerCountMode = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-trigger-tokens', function() {
+    settings.triggerTokenThreshold = Math.max(0, Number($(this).val()) || 0);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-trigger-idle', function() {
+    settings.triggerIdleMinutes = Math.max(0, Number($(this).val()) || 0);
+    saveSettingsDebounced();
+    scheduleIdleTrigger();
+});
+
+$(document).on('click', '#memory-manager-trigger-chat-switch', function() {
+    settings.triggerOnChatSwitch = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-trigger-scene-break', function() {
+    settings.triggerOnSceneBreak = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('input', '#memory-manager-scene-break-markers', function() {
+    settings.sceneBreakMarkers = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-backfill', async function() {
+    // Finished, cancelled and failed backfills report through their own notifications
+    const willRun = getEffectiveSettings().enabled && !findBackfillJob() && !isBackfillRunning();
+    const result = await startMemoryBackfill();
+    
+    if (!willRun) {
+        showNotification(result, true);
+    }
+});
+
+$(document).on('click', '#memory-manager-backfill-cancel', function() {
+    cancelMemoryBackfill();
+});
+
+$(document).on('click', '#memory-manager-notifications', function() {
+    settings.showNotifications = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('input', '#memory-manager-duplicate-threshold', function() {
+    settings.duplicateThreshold = Number($(this).val());
+    $('#memory-manager-duplicate-threshold-value').text(settings.duplicateThreshold);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-contradiction-check', function() {
+    settings.contradictionCheck = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-verify', function() {
+    settings.verifyMemories = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-superseded-display', function() {
+    settings.supersededDisplay = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-review', function() {
+    settings.reviewMemories = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-resummarize-stale', function() {
+    settings.resummarizeStale = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-history-retention', function() {
+    settings.historyRetention = Math.max(0, Number($(this).val()) || 0);
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-open-history', function() {
+    const owner = resolveMemoryOwner({});
+    
+    if (!owner) {
+        showNotification("No character selected.", true);
+        return;
+    }
+    
+    showHistoryPopup(owner);
+});
+
+$(document).on('click', '#memory-manager-user-facts-persona', function() {
+    settings.userFactsToPersona = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-open-review', function() {
+    if (getPendingMemories().length === 0) {
+        showNotification("No memories waiting for review.");
+        return;
+    }
+    
+    showReviewPopup();
+});
+
+$(document).on('change', '#memory-manager-target', function() {
+    settings.memoryTarget = String($(this).val());
+    $('#memory-manager-lorebook-settings').toggle(['lorebook', 'both'].includes(settings.memoryTarget));
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-inject', function() {
+    settings.injectMemories = !!$(this).prop('checked');
+    $('#memory-manager-injection-settings').toggle(settings.injectMemories);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-injection-max', function() {
+    settings.injectionMaxMemories = Math.max(1, Number($(this).val()) || 1);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-injection-budget', function() {
+    settings.injectionTokenBudget = Math.max(0, Number($(this).val()) || 0);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-injection-context', function() {
+    settings.injectionContextMessages = Math.max(1, Number($(this).val()) || 1);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-injection-position', function() {
+    settings.injectionPosition = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-injection-depth', function() {
+    settings.injectionDepth = Math.max(0, Number($(this).val()) || 0);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-injection-role', function() {
+    settings.injectionRole = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-track-relationships', function() {
+    settings.trackRelationships = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-inject-relationships', function() {
+    settings.injectRelationships = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-story-summaries', function() {
+    settings.storySummaries = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-windows-per-scene', function() {
+    settings.windowsPerScene = Math.max(2, Number($(this).val()) || 2);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-scenes-per-arc', function() {
+    settings.scenesPerArc = Math.max(2, Number($(this).val()) || 2);
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-inject-story', function() {
+    settings.injectStory = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-story-budget', function() {
+    settings.storyTokenBudget = Math.max(0, Number($(this).val()) || 0);
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-export-json, #memory-manager-export-markdown', function() {
+    const owner = String($('#memory-manager-browser-owner').val() || '');
+    
+    if (!owner) {
+        showNotification("Open a chat to export the memories of its characters.", true);
+        return;
+    }
+    
+    const file = exportMemoryFile(owner, this.id === 'memory-manager-export-markdown' ? 'markdown' : 'json');
+    download(file.text, file.fileName, file.contentType);
+});
+
+$(document).on('click', '#memory-manager-import', function() {
+    if (!$('#memory-manager-browser-owner').val()) {
+        showNotification("Open a chat to import memories into one of its characters.", true);
+        return;
+    }
+    
+    $('#memory-manager-import-file').trigger('click');
+});
+
+$(document).on('change', '#memory-manager-import-file', async function() {
+    const file = this.files?.[0];
+    const owner = String($('#memory-manager-browser-owner').val() || '');
+    
+    // Clear the input so the same file can be imported again
+    $(this).val('');
+    
+    if (!file || !owner) {
+        return;
+    }
+    
+    try {
+        showNotification(await importMemoryText(owner, await getFileText(file)));
+    } catch (error) {
+        console.error(`${displayName} import error:`, error);
+        showNotification("Failed to import memories: " + error.message, true);
+    }
+});
+
+$(document).on('click', '#memory-manager-show-story', function() {
+    showStoryPopup(String($('#memory-manager-story-level').val()));
+});
+
+$(document).on('click', '#memory-manager-show-injection', function() {
+    showInjectionReport(lastInjectionReport);
+});
+
+$(document).on('input', '#memory-manager-lorebook-name', function() {
+    settings.lorebookName = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-auto-consolidate', function() {
+    settings.autoConsolidate = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-consolidation-budget', function() {
+    settings.consolidationTokenBudget = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-recent-memories', function() {
+    settings.recentMemoriesToKeep = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('input', '#memory-manager-consolidation-prompt', function() {
+    settings.consolidationPrompt = $(this).val();
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-group-mode', function() {
+    settings.groupMemoryMode = String($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-separate-model', function() {
+    settings.useSeparateModel = !!$(this).prop('checked');
+    $('#memory-manager-separate-model-settings').toggle(settings.useSeparateModel);
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-model-provider', function() {
+    settings.separateModelProvider = String($(this).val());
+    $('#memory-manager-model-endpoint').attr('placeholder', PROVIDERS[settings.separateModelProvider].placeholder);
+    $('#memory-manager-model-name').attr('placeholder', PROVIDERS[settings.separateModelProvider].defaultModel || 'Not needed');
+    saveSettingsDebounced();
+});
+
+$(document).on('input', '#memory-manager-model-name', function() {
+    settings.separateModelName = String($(this).val()).trim();
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-model-max-tokens', function() {
+    settings.separateModelMaxTokens = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-model-temperature', function() {
+    settings.separateModelTemperature = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-model-top-p', function() {
+    settings.separateModelTopP = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-model-timeout', function() {
+    settings.separateModelTimeout = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-model-retries', function() {
+    settings.separateModelRetries = Number($(this).val());
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-model-test', async function() {
+    const startTime = Date.now();
+    
+    if (!settings.separateModelEndpoint) {
+        showNotification("Enter a model endpoint URL first.", true);
+        return;
+    }
+    
+    try {
+        const response = await generateText("Reply with the single word OK.", "Connection test", { ...getModelOptions(), useSeparateModel: true });
+        showNotification(`Model replied in ${Date.now() - startTime} ms: ${response.trim().slice(0, 50)}`);
+    } catch (error) {
+        showNotification("Model test failed: " + error.message, true);
+    }
+});
+
+$(document).on('input', '#memory-manager-model-endpoint', function() {
+    settings.separateModelEndpoint = $(this).val();
+    saveSettingsDebounced();
+});
+
+$(document).on('input', '#memory-manager-model-api-key', function() {
+    settings.separateModelApiKey = $(this).val();
+    saveSettingsDebounced();
+});
+
+$(document).on('click', '#memory-manager-structured-output', function() {
+    settings.structuredOutput = !!$(this).prop('checked');
+    saveSettingsDebounced();
+});
+
+$(document).on('change', '#memory-manager-chunk-tokens', function() {
+    settings.summaryChunkTokens = Math.max(0, Number($(this).val()) || 0);
     saveSettingsDebounced();
 });
 
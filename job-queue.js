@@ -0,0 +1,361 @@
+/**
+ * Job Queue Module
+ * Runs summarization, consolidation and backfill work as queued jobs that survive a reload,
+ * one job at a time per character, with progress and cancel
+ */
+
+import { getContext } from '../../../extensions.js';
+import { getOwnerName } from './memory-store.js';
+import { escapeHtml } from './script.js';
+
+const STORAGE_KEY = 'character_memory_manager_jobs';
+
+// Finished jobs kept for the status panel
+const MAX_FINISHED_JOBS = 20;
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+const handlers = {};
+const controllers = new Map();
+const waiters = new Map();
+// Results of the finished jobs, kept for this session only
+const results = new Map();
+const busyOwners = new Set();
+
+let jobs = loadJobs();
+
+/**
+ * @typedef {object} Job
+ * @property {string} id - Unique job ID
+ * @property {string} type - Job type, selects the registered handler
+ * @property {string} label - What the job does, for the status panel
+ * @property {string[]} owners - Memory owners the job writes to, no other job for them runs at the same time
+ * @property {string|null} chatId - Chat the job works on, it only runs while that chat is open. Null for any chat
+ * @property {object} params - Handler parameters
+ * @property {'queued'|'running'|'done'|'failed'|'cancelled'} status - Job status
+ * @property {{done: number, total: number}|null} progress - Progress of jobs with several steps
+ * @property {string} message - Result or error message
+ * @property {number} createdAt - Creation time in milliseconds
+ * @property {number|null} finishedAt - End time in milliseconds
+ */
+
+/**
+ * @callback JobHandler
+ * @param {Job} job - Job to run
+ * @param {object} tools - Job tools
+ * @param {AbortSignal} tools.signal - Aborted when the job is cancelled
+ * @param {(done: number, total: number) => void} tools.setProgress - Report the progress of the job
+ * @returns {Promise<{message: string, result?: *}>} - Result message for the status panel, and a result for whoever waits for the job
+ */
+
+/**
+ * Load the saved jobs. Jobs that were running when the page was closed are queued again.
+ * @returns {Job[]} - Jobs
+ */
+function loadJobs() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+        return Array.isArray(saved)
+            ? saved.map(job => job.status === 'running' ? { ...job, status: 'queued' } : job)
+            : [];
+    } catch (error) {
+        console.warn('Memory Manager: Could not load the saved jobs', error);
+        return [];
+    }
+}
+
+/**
+ * Save the jobs and show them in the status panel
+ */
+function saveJobs() {
+    const finished = jobs.filter(job => !isActive(job));
+
+    // Drop the oldest finished jobs
+    if (finished.length > MAX_FINISHED_JOBS) {
+        const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+        jobs = jobs.filter(job => !dropped.has(job));
+        dropped.forEach(job => results.delete(job.id));
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(jobs));
+    } catch (error) {
+        console.warn('Memory Manager: Could not save the jobs', error);
+    }
+
+    refreshJobPanel();
+}
+
+/**
+ * Check whether a job is still waiting or running
+ * @param {Job} job - Job
+ * @returns {boolean} - Whether the job has not finished
+ */
+function isActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+/**
+ * Register the function that runs the jobs of a type
+ * @param {string} type - Job type
+ * @param {JobHandler} handler - Runs one job
+ */
+export function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+    processJobQueue();
+}
+
+/**
+ * Get all jobs, oldest first
+ * @returns {Job[]} - Jobs
+ */
+export function getJobs() {
+    return jobs;
+}
+
+/**
+ * Find a job that is waiting or running
+ * @param {(job: Job) => boolean} predicate - Which job to find
+ * @returns {Job|undefined} - First matching job
+ */
+export function findActiveJob(predicate) {
+    return jobs.find(job => isActive(job) && predicate(job));
+}
+
+/**
+ * Add a job to the queue. A job that is already queued with the same type, chat and parameters is reused.
+ * @param {object} details - Job details
+ * @param {string} details.type - Job type
+ * @param {string} details.label - What the job does
+ * @param {string[]} details.owners - Memory owners the job writes to
+ * @param {string|null} [details.chatId] - Chat the job works on, null for any chat
+ * @param {object} [details.params] - Handler parameters
+ * @returns {Job} - Queued job
+ */
+export function enqueueJob({ type, label, owners, chatId = null, params = {} }) {
+    const existing = jobs.find(job => job.status === 'queued'
+        && job.type === type
+        && job.chatId === chatId
+        && JSON.stringify(job.params) === JSON.stringify(params));
+
+    if (existing) {
+        return existing;
+    }
+
+    const job = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        label,
+        owners,
+        chatId,
+        params,
+        status: 'queued',
+        progress: null,
+        message: '',
+        createdAt: Date.now(),
+        finishedAt: null,
+    };
+
+    jobs.push(job);
+    saveJobs();
+    processJobQueue();
+    return job;
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} id - Job ID
+ * @returns {Promise<*>} - Result of the job, null for a job done before the page was reloaded. Rejects if the job fails or is cancelled.
+ */
+export function waitForJob(id) {
+    const job = jobs.find(item => item.id === id);
+
+    if (!job) {
+        return Promise.reject(new Error(`Job ${id} not found`));
+    }
+
+    if (!isActive(job)) {
+        return job.status === 'done' ? Promise.resolve(results.get(id) ?? null) : Promise.reject(new Error(job.message || STATUS_LABELS[job.status]));
+    }
+
+    return new Promise((resolve, reject) => {
+        waiters.set(id, [...(waiters.get(id) || []), { resolve, reject }]);
+    });
+}
+
+/**
+ * Add a job to the queue and wait for it to finish
+ * @param {object} details - Job details, see enqueueJob
+ * @returns {Promise<*>} - Result of the job
+ */
+export function runJob(details) {
+    return waitForJob(enqueueJob(details).id);
+}
+
+/**
+ * Cancel a job. A running job is aborted, including its model request.
+ * @param {string} id - Job ID
+ * @returns {boolean} - Whether the job was still waiting or running
+ */
+export function cancelJob(id) {
+    const job = jobs.find(item => item.id === id);
+
+    if (!job || !isActive(job)) {
+        return false;
+    }
+
+    if (job.status === 'running') {
+        // The job ends as cancelled once its handler notices the abort
+        controllers.get(id)?.abort();
+        job.message = 'Cancelling...';
+        saveJobs();
+        return true;
+    }
+
+    finishJob(job, 'cancelled', 'Cancelled before it started.');
+    return true;
+}
+
+/**
+ * Remove the finished jobs from the list
+ */
+export function clearFinishedJobs() {
+    jobs.filter(job => !isActive(job)).forEach(job => results.delete(job.id));
+    jobs = jobs.filter(isActive);
+    saveJobs();
+}
+
+/**
+ * Mark a job as finished and settle whoever waits for it
+ * @param {Job} job - Job
+ * @param {'done'|'failed'|'cancelled'} status - Final status
+ * @param {string} message - Result or error message
+ * @param {*} [result] - Result for the waiters
+ */
+function finishJob(job, status, message, result = null) {
+    job.status = status;
+    job.message = message;
+    job.finishedAt = Date.now();
+
+    if (status === 'done') {
+        results.set(job.id, result);
+    }
+
+    saveJobs();
+
+    (waiters.get(job.id) || []).forEach(({ resolve, reject }) => {
+        if (status === 'done') {
+            resolve(result);
+        } else {
+            reject(new Error(message));
+        }
+    });
+    waiters.delete(job.id);
+}
+
+/**
+ * Run a job with its handler
+ * @param {Job} job - Job to run
+ * @returns {Promise<void>}
+ */
+async function executeJob(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.owners.forEach(owner => busyOwners.add(owner));
+    job.status = 'running';
+    job.message = '';
+    saveJobs();
+
+    const setProgress = (done, total) => {
+        job.progress = { done, total };
+        saveJobs();
+    };
+
+    try {
+        const { message, result } = await handlers[job.type](job, { signal: controller.signal, setProgress });
+        finishJob(job, 'done', message, result);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            finishJob(job, 'cancelled', 'Cancelled.');
+        } else {
+            console.error(`Memory Manager: Job "${job.label}" failed`, error);
+            finishJob(job, 'failed', error.message || String(error));
+        }
+    } finally {
+        controllers.delete(job.id);
+        job.owners.forEach(owner => busyOwners.delete(owner));
+        processJobQueue();
+    }
+}
+
+/**
+ * Start the queued jobs that can run now: their handler is registered, their chat is open
+ * and no other job is working on their characters
+ */
+export function processJobQueue() {
+    const chatId = getContext().getCurrentChatId();
+
+    jobs
+        .filter(job => job.status === 'queued')
+        .forEach(job => {
+            const canRun = handlers[job.type]
+                && (job.chatId === null || job.chatId === chatId)
+                && !job.owners.some(owner => busyOwners.has(owner));
+
+            if (canRun) {
+                executeJob(job);
+            }
+        });
+}
+
+/**
+ * Show the jobs in the settings panel, newest first
+ */
+export function refreshJobPanel() {
+    const list = $('#memory-manager-job-list');
+
+    if (!list.length) {
+        return;
+    }
+
+    if (jobs.length === 0) {
+        list.html('<div class="memory-manager-hint">No memory jobs.</div>');
+        return;
+    }
+
+    const chatId = getContext().getCurrentChatId();
+
+    list.html([...jobs].reverse().map(job => {
+        const progress = job.progress ? ` ${job.progress.done}/${job.progress.total}` : '';
+        const waiting = job.status === 'queued' && job.chatId !== null && job.chatId !== chatId
+            ? 'Waits until its chat is opened.'
+            : '';
+        const owner = job.owners.length > 0 ? ` – ${escapeHtml(getOwnerName(job.owners[job.owners.length - 1]))}` : '';
+
+        return `
+        <div class="memory-manager-job" data-id="${job.id}">
+            <div class="memory-manager-job-header">
+                <span class="memory-manager-job-status ${job.status}">${STATUS_LABELS[job.status]}${progress}</span>
+                <span class="memory-manager-job-label">${escapeHtml(job.label)}${owner}</span>
+                ${isActive(job) ? '<span class="memory-manager-job-cancel fa-solid fa-xmark" title="Cancel"></span>' : ''}
+            </div>
+            ${job.message || waiting ? `<div class="memory-manager-hint">${escapeHtml(job.message || waiting)}</div>` : ''}
+        </div>`;
+    }).join(''));
+}
+
+// Job panel handlers
+$(document).on('click', '.memory-manager-job-cancel', function() {
+    cancelJob(String($(this).closest('.memory-manager-job').attr('data-id')));
+});
+
+$(document).on('click', '#memory-manager-jobs-clear', function() {
+    clearFinishedJobs();
+});
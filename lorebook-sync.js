@@ -0,0 +1,140 @@
+/**
+ * Lorebook Sync Module
+ * Mirrors memories into World Info entries keyed by the names they mention
+ */
+
+import { world_names, loadWorldInfo, saveWorldInfo, createNewWorldInfo, createWorldInfoEntry } from '../../../world-info.js';
+import { extractNames } from './script.js';
+
+// Entries written by this extension are linked to their owner and memory through the entry comment,
+// as "Memory Manager: <owner>/<memory id>", so several owners can share a lorebook
+const ENTRY_COMMENT_PREFIX = 'Memory Manager: ';
+
+// Capitalized words that start sentences rather than name anything
+const IGNORED_KEYS = new Set([
+    'A', 'An', 'The', 'He', 'She', 'They', 'It', 'We', 'You', 'I', 'His', 'Her', 'Their', 'Its',
+    'This', 'That', 'These', 'Those', 'There', 'Then', 'When', 'After', 'Before', 'While', 'During',
+    'In', 'On', 'At', 'As', 'If', 'But', 'And', 'Or', 'So', 'Both', 'Later', 'Finally', 'Also',
+]);
+
+/**
+ * Get the name of the lorebook that memories of an owner are written to
+ * @param {string} configuredName - Lorebook name from the settings, empty for automatic
+ * @param {string} ownerName - Name of the character or group owning the memories
+ * @returns {string} - Lorebook name
+ */
+export function getLorebookName(configuredName, ownerName) {
+    return configuredName?.trim() || `${ownerName} Memories`;
+}
+
+/**
+ * Derive the trigger keys of a memory from the names it mentions
+ * @param {string} text - Memory text
+ * @param {string} fallbackKey - Key used when the memory mentions no names
+ * @returns {string[]} - Entry keys
+ */
+export function getMemoryKeys(text, fallbackKey) {
+    const keys = extractNames(text).filter(name => !IGNORED_KEYS.has(name) && name.length > 1);
+    return keys.length > 0 ? keys : [fallbackKey];
+}
+
+/**
+ * Find the entries of a lorebook that mirror the memories of an owner
+ * @param {object} data - Lorebook data
+ * @param {string} owner - Character avatar or group memory key
+ * @param {Set<string>} memoryIds - IDs of the owner's memories, to adopt entries written before the owner was part of the comment
+ * @returns {Map<string, object>} - Entries keyed by memory ID
+ */
+function findOwnerEntries(data, owner, memoryIds) {
+    const ownerPrefix = `${ENTRY_COMMENT_PREFIX}${owner}/`;
+    const entries = new Map();
+
+    Object.values(data.entries).forEach(entry => {
+        if (typeof entry.comment !== 'string') {
+            return;
+        }
+
+        if (entry.comment.startsWith(ownerPrefix)) {
+            entries.set(entry.comment.slice(ownerPrefix.length), entry);
+            return;
+        }
+
+        // Entries without an owner can belong to anyone, only those of known memories are taken over
+        const legacyId = entry.comment.startsWith(ENTRY_COMMENT_PREFIX) ? entry.comment.slice(ENTRY_COMMENT_PREFIX.length) : null;
+
+        if (legacyId && !legacyId.includes('/') && memoryIds.has(legacyId)) {
+            entries.set(legacyId, entry);
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Make a lorebook hold exactly one entry per memory of an owner.
+ * Entries of edited memories are updated and entries of deleted memories are removed.
+ * Entries of other owners and entries not created by this extension are left alone.
+ * @param {string} bookName - Lorebook name, created if it doesn't exist
+ * @param {import('./memory-store.js').MemoryRecord[]} memories - Memories to mirror
+ * @param {string} owner - Character avatar or group memory key the memories belong to
+ * @param {string} ownerName - Name of the character or group, used as a fallback key
+ * @returns {Promise<void>}
+ */
+export async function syncLorebook(bookName, memories, owner, ownerName) {
+    if (!world_names.includes(bookName)) {
+        await createNewWorldInfo(bookName);
+    }
+
+    const data = await loadWorldInfo(bookName);
+
+    if (!data || !data.entries) {
+        throw new Error(`Lorebook ${bookName} could not be loaded`);
+    }
+
+    const memoryIds = new Set(memories.map(memory => memory.id));
+    const linkedEntries = findOwnerEntries(data, owner, memoryIds);
+
+    linkedEntries.forEach((entry, memoryId) => {
+        if (!memoryIds.has(memoryId)) {
+            delete data.entries[entry.uid];
+        }
+    });
+
+    memories.forEach(memory => {
+        const entry = linkedEntries.get(memory.id) || createWorldInfoEntry(bookName, data);
+
+        if (!entry) {
+            return;
+        }
+
+        entry.comment = `${ENTRY_COMMENT_PREFIX}${owner}/${memory.id}`;
+        entry.content = memory.text;
+        entry.key = getMemoryKeys(memory.text, ownerName);
+    });
+
+    await saveWorldInfo(bookName, data, true);
+}
+
+/**
+ * Remove the entries of an owner from a lorebook, after its memories stopped being written there
+ * @param {string} bookName - Lorebook name
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {Promise<number>} - Number of removed entries
+ */
+export async function removeLorebookEntries(bookName, owner) {
+    if (!world_names.includes(bookName)) {
+        return 0;
+    }
+
+    const data = await loadWorldInfo(bookName);
+    const ownerPrefix = `${ENTRY_COMMENT_PREFIX}${owner}/`;
+    const entries = Object.values(data?.entries || {}).filter(entry => typeof entry.comment === 'string' && entry.comment.startsWith(ownerPrefix));
+
+    if (entries.length === 0) {
+        return 0;
+    }
+
+    entries.forEach(entry => delete data.entries[entry.uid]);
+    await saveWorldInfo(bookName, data, true);
+    return entries.length;
+}
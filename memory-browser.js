@@ -0,0 +1,284 @@
+/**
+ * Memory Browser Module
+ * Timeline of the stored memories with filters, inline editing, pinning and links to their source messages
+ */
+
+import { openCharacterChat, selectCharacterById } from '../../../../script.js';
+import { getContext } from '../../../extensions.js';
+import { openGroupChat } from '../../../group-chats.js';
+import { getMemories, getOwnerName, isGroupOwner, MEMORY_CATEGORIES, onMemoryStoreSaved } from './memory-store.js';
+import { editMemory, deleteMemory, setMemoryPinned } from './memory-manager.js';
+import { normalizeText } from './similarity.js';
+import { escapeHtml, formatDate } from './script.js';
+
+let browserOwners = [];
+let browserOwner = null;
+
+/**
+ * @typedef {object} MemoryFilters
+ * @property {string} [category] - Category key, empty for all
+ * @property {string} [chatId] - Source chat ID, empty for all
+ * @property {string} [from] - First day as YYYY-MM-DD, empty for no limit
+ * @property {string} [to] - Last day as YYYY-MM-DD, empty for no limit
+ * @property {string} [query] - Text the memory must contain
+ */
+
+/**
+ * Get the memories of an owner that match the filters, oldest first
+ * @param {string} owner - Character avatar or group memory key
+ * @param {MemoryFilters} filters - Filters
+ * @returns {import('./memory-store.js').MemoryRecord[]} - Matching memories
+ */
+export function filterMemories(owner, { category, chatId, from, to, query }) {
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    const normalizedQuery = normalizeText(query);
+
+    return getMemories(owner)
+        .filter(memory => !category || memory.category === category)
+        .filter(memory => !chatId || memory.chatId === chatId)
+        .filter(memory => memory.createdAt >= fromTime && memory.createdAt <= toTime)
+        .filter(memory => !normalizedQuery || normalizeText(memory.text).includes(normalizedQuery))
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Read the filters from the browser panel
+ * @returns {MemoryFilters} - Filters
+ */
+function getPanelFilters() {
+    return {
+        category: String($('#memory-manager-browser-category').val() || ''),
+        chatId: String($('#memory-manager-browser-chat').val() || ''),
+        from: String($('#memory-manager-browser-from').val() || ''),
+        to: String($('#memory-manager-browser-to').val() || ''),
+        query: String($('#memory-manager-browser-search').val() || ''),
+    };
+}
+
+/**
+ * Show the memories of the characters in the current chat in the browser panel
+ * @param {string[]} [owners] - Character avatars or group memory keys, keeps the previous ones if not given
+ */
+export function refreshMemoryBrowser(owners) {
+    if (owners) {
+        browserOwners = owners;
+    }
+
+    if (!browserOwners.includes(browserOwner)) {
+        browserOwner = browserOwners[0] || null;
+    }
+
+    const list = $('#memory-manager-browser-list');
+
+    if (!list.length) {
+        return;
+    }
+
+    $('#memory-manager-browser-owner').html(browserOwners
+        .map(owner => `<option value="${escapeHtml(owner)}" ${owner === browserOwner ? 'selected' : ''}>${escapeHtml(getOwnerName(owner))}</option>`)
+        .join(''));
+
+    if (!browserOwner) {
+        list.html('<div class="memory-manager-hint">Open a chat to browse the memories of its characters.</div>');
+        return;
+    }
+
+    // Offer the chats the memories came from, keeping the selected one
+    const chatSelect = $('#memory-manager-browser-chat');
+    const selectedChat = String(chatSelect.val() || '');
+    const chatIds = [...new Set(getMemories(browserOwner).map(memory => memory.chatId).filter(Boolean))];
+    chatSelect.html(['<option value="">All chats</option>', ...chatIds
+        .map(chatId => `<option value="${escapeHtml(chatId)}" ${chatId === selectedChat ? 'selected' : ''}>${escapeHtml(chatId)}</option>`)].join(''));
+
+    const memories = filterMemories(browserOwner, getPanelFilters());
+
+    if (memories.length === 0) {
+        list.html('<div class="memory-manager-hint">No memories match.</div>');
+        return;
+    }
+
+    let currentDate = null;
+    list.html(memories.map(memory => {
+        const date = formatDate(new Date(memory.createdAt));
+        const dateHeader = date !== currentDate ? `<div class="memory-manager-browser-date">${date}</div>` : '';
+        const flags = [
+            ...(memory.stale ? ['stale'] : []),
+            ...(memory.supersededBy ? ['outdated'] : []),
+            ...(memory.verification?.status === 'unsupported' ? ['unsupported'] : []),
+        ];
+        const jumpLink = (mesId, text) => `<a class="memory-manager-browser-jump" data-mesid="${mesId}" title="${escapeHtml(memory.chatId || '')}">${text}</a>`;
+        // Cited messages are more precise than the summarized range
+        const source = memory.citations?.length > 0
+            ? memory.citations.map(id => jumpLink(id, `#${id}`)).join(' ')
+            : memory.sourceRange ? jumpLink(memory.sourceRange.start, `#${memory.sourceRange.start}–${memory.sourceRange.end}`) : '';
+        currentDate = date;
+
+        return `${dateHeader}
+        <div class="memory-manager-browser-item" data-id="${escapeHtml(memory.id)}">
+            <div class="memory-manager-browser-meta">
+                <span class="memory-manager-category" title="${escapeHtml(memory.verification?.reason || '')}">${escapeHtml(MEMORY_CATEGORIES[memory.category] || memory.category)}${flags.length > 0 ? ` · ${flags.join(', ')}` : ''}</span>
+                ${source}
+                <span class="memory-manager-browser-pin fa-solid fa-thumbtack ${memory.pinned ? 'pinned' : ''}" title="${memory.pinned ? 'Unpin' : 'Pin: always inject, never consolidate'}"></span>
+                <span class="memory-manager-browser-delete fa-solid fa-trash-can" title="Delete"></span>
+            </div>
+            <textarea class="memory-manager-browser-text" rows="2">${escapeHtml(memory.text)}</textarea>
+        </div>`;
+    }).join(''));
+}
+
+/**
+ * Show a status line below the browser filters
+ * @param {string} text - Status text, empty to hide it
+ */
+function setBrowserStatus(text) {
+    $('#memory-manager-browser-status').text(text).toggle(!!text);
+}
+
+/**
+ * Find the group or character whose chat a memory was summarized from.
+ * Memories stored before the source group was recorded are matched against the chats of each group.
+ * @param {import('./memory-store.js').MemoryRecord} memory - Memory record
+ * @returns {{groupId?: string, avatar?: string}|null} - Source group or character, null if unknown
+ */
+function findSourceChatOwner(memory) {
+    const groupId = memory.sourceGroupId || getContext().groups.find(group => group.chats?.includes(memory.chatId))?.id;
+
+    if (groupId) {
+        return { groupId: String(groupId) };
+    }
+
+    return isGroupOwner(memory.characterAvatar) ? null : { avatar: memory.characterAvatar };
+}
+
+/**
+ * Scroll the chat to a source message of a memory, opening the chat it belongs to first if needed
+ * @param {import('./memory-store.js').MemoryRecord} memory - Memory record
+ * @param {number} messageId - Message index
+ * @returns {Promise<boolean>} - Whether the message was found
+ */
+export async function jumpToMessage(memory, messageId) {
+    const context = getContext();
+
+    if (memory.chatId && memory.chatId !== context.getCurrentChatId()) {
+        const source = findSourceChatOwner(memory);
+        const characterId = source?.avatar ? context.characters.findIndex(character => character.avatar === source.avatar) : -1;
+
+        if (source?.groupId) {
+            await openGroupChat(source.groupId, memory.chatId);
+        } else if (characterId !== -1) {
+            // A character chat can only be opened while its character is selected
+            if (context.groupId || String(context.characterId) !== String(characterId)) {
+                await selectCharacterById(characterId);
+            }
+
+            await openCharacterChat(memory.chatId);
+        } else {
+            setBrowserStatus('The chat this memory came from was not found.');
+            return false;
+        }
+    }
+
+    const message = $(`#chat .mes[mesid="${messageId}"]`);
+
+    if (!message.length) {
+        setBrowserStatus(`Message #${messageId} isn't loaded. Scroll up in the chat to load older messages.`);
+        return false;
+    }
+
+    setBrowserStatus('');
+    message[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    message.addClass('memory-manager-highlight');
+    setTimeout(() => message.removeClass('memory-manager-highlight'), 2000);
+    return true;
+}
+
+// Keep the browser in sync with changes made elsewhere
+onMemoryStoreSaved(owner => {
+    if (owner === browserOwner) {
+        refreshMemoryBrowser();
+    }
+});
+
+// Memory browser handlers
+$(document).on('change', '#memory-manager-browser-owner', function() {
+    browserOwner = String($(this).val());
+    $('#memory-manager-browser-chat').val('');
+    refreshMemoryBrowser();
+});
+
+$(document).on('change', '#memory-manager-browser-category, #memory-manager-browser-chat, #memory-manager-browser-from, #memory-manager-browser-to', function() {
+    refreshMemoryBrowser();
+});
+
+$(document).on('input', '#memory-manager-browser-search', function() {
+    refreshMemoryBrowser();
+});
+
+$(document).on('change', '.memory-manager-browser-text', async function() {
+    const id = $(this).closest('.memory-manager-browser-item').attr('data-id');
+
+    try {
+        // Emptied or unknown memories get their text back
+        if (!await editMemory(browserOwner, id, String($(this).val()))) {
+            refreshMemoryBrowser();
+        }
+    } catch (error) {
+        console.error('Memory Manager: Could not edit the memory', error);
+        setBrowserStatus('Could not save the edited memory.');
+        refreshMemoryBrowser();
+    }
+});
+
+$(document).on('click', '.memory-manager-browser-pin', async function() {
+    const id = $(this).closest('.memory-manager-browser-item').attr('data-id');
+    const memory = getMemories(browserOwner).find(item => item.id === id);
+
+    if (!memory) {
+        return;
+    }
+
+    const pinned = !memory.pinned;
+
+    try {
+        if (!await setMemoryPinned(browserOwner, id, pinned)) {
+            setBrowserStatus(`Could not save the ${pinned ? 'pinned' : 'unpinned'} memory.`);
+        }
+    } catch (error) {
+        console.error('Memory Manager: Could not pin the memory', error);
+        setBrowserStatus(`Could not save the ${pinned ? 'pinned' : 'unpinned'} memory.`);
+    }
+
+    refreshMemoryBrowser();
+});
+
+$(document).on('click', '.memory-manager-browser-delete', async function() {
+    const id = $(this).closest('.memory-manager-browser-item').attr('data-id');
+
+    try {
+        if (!await deleteMemory(browserOwner, id)) {
+            setBrowserStatus('Could not delete the memory.');
+        }
+    } catch (error) {
+        console.error('Memory Manager: Could not delete the memory', error);
+        setBrowserStatus('Could not delete the memory.');
+    }
+
+    refreshMemoryBrowser();
+});
+
+$(document).on('click', '.memory-manager-browser-jump', async function() {
+    const id = $(this).closest('.memory-manager-browser-item').attr('data-id');
+    const memory = getMemories(browserOwner).find(item => item.id === id);
+
+    if (!memory) {
+        return;
+    }
+
+    try {
+        await jumpToMessage(memory, Number($(this).attr('data-mesid')));
+    } catch (error) {
+        console.error('Memory Manager: Could not open the source chat', error);
+        setBrowserStatus('Could not open the chat this memory came from.');
+    }
+});
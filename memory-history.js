@@ -0,0 +1,187 @@
+/**
+ * Memory History Module
+ * Browses, compares and restores the snapshots taken before each memory change
+ */
+
+import { callPopup } from '../../../../script.js';
+import { getMemoryStore, getOwnerName, getSnapshotMemories, snapshotMemoryStore } from './memory-store.js';
+import { commitMemories } from './memory-manager.js';
+import { escapeHtml, formatDate, safeClone } from './script.js';
+
+let historyOwner = null;
+
+/**
+ * Get the snapshots of a character or group
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {import('./memory-store.js').MemorySnapshot[]} - Snapshots, newest first
+ */
+export function getSnapshots(owner) {
+    return [...(getMemoryStore(owner)?.history || [])].reverse();
+}
+
+/**
+ * Compare two versions of the memories by memory ID
+ * @param {import('./memory-store.js').MemoryRecord[]} before - Older memories
+ * @param {import('./memory-store.js').MemoryRecord[]} after - Newer memories
+ * @returns {{added: object[], removed: object[], changed: {before: object, after: object}[]}} - Differences
+ */
+export function diffMemories(before, after) {
+    const beforeById = new Map(before.map(memory => [memory.id, memory]));
+    const afterById = new Map(after.map(memory => [memory.id, memory]));
+
+    return {
+        added: after.filter(memory => !beforeById.has(memory.id)),
+        removed: before.filter(memory => !afterById.has(memory.id)),
+        changed: after
+            .filter(memory => beforeById.has(memory.id) && beforeById.get(memory.id).text !== memory.text)
+            .map(memory => ({ before: beforeById.get(memory.id), after: memory })),
+    };
+}
+
+/**
+ * Get the memories as they were right after the change a snapshot was taken before
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {import('./memory-store.js').MemoryRecord[]|null} - Memories, null if the snapshot is not found
+ */
+function getVersionAfter(owner, snapshotId) {
+    const store = getMemoryStore(owner);
+    const index = store ? store.history.findIndex(snapshot => snapshot.id === snapshotId) : -1;
+
+    if (index === -1) {
+        return null;
+    }
+
+    return index + 1 < store.history.length ? getSnapshotMemories(owner, store.history[index + 1].id) : store.memories;
+}
+
+/**
+ * Restore the memories of a snapshot. The current state is snapshotted first, so the restore can be undone.
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<boolean>} - Whether the snapshot was found and restored
+ */
+export async function restoreSnapshot(owner, snapshotId) {
+    const store = getMemoryStore(owner);
+    const snapshot = store?.history.find(item => item.id === snapshotId);
+
+    if (!snapshot) {
+        return false;
+    }
+
+    const memories = getSnapshotMemories(owner, snapshotId);
+    snapshotMemoryStore(owner, `restore of ${formatDate(new Date(snapshot.createdAt))}`);
+    store.memories = safeClone(memories);
+    await commitMemories(owner);
+
+    console.log(`Memory Manager: Restored memories of ${owner} to snapshot ${snapshotId}`);
+    return true;
+}
+
+/**
+ * Undo the last change by going back to the newest snapshot, which is used up
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {Promise<import('./memory-store.js').MemorySnapshot|null>} - Restored snapshot, null if there is none
+ */
+export async function undoLastChange(owner) {
+    const store = getMemoryStore(owner);
+    const snapshot = store?.history[store.history.length - 1];
+
+    if (!snapshot) {
+        return null;
+    }
+
+    const memories = getSnapshotMemories(owner, snapshot.id);
+    store.history.pop();
+    store.memories = safeClone(memories);
+    await commitMemories(owner);
+
+    console.log(`Memory Manager: Undid "${snapshot.reason}" on ${owner}`);
+    return snapshot;
+}
+
+/**
+ * Show the snapshot history of a character or group
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {Promise<void>}
+ */
+export async function showHistoryPopup(owner) {
+    historyOwner = owner;
+
+    const popupHtml = `
+    <div id="memory-manager-history">
+        <h3>Memory history of ${escapeHtml(getOwnerName(owner))}</h3>
+        <div class="memory-manager-hint">A snapshot is taken before every change. "Changes" shows what that change did, "Restore" goes back to the memories from before it.</div>
+        <div id="memory-manager-history-list"></div>
+        <div id="memory-manager-history-diff"></div>
+    </div>`;
+
+    const popup = callPopup(popupHtml, 'text', '', { wide: true, okButton: 'Close' });
+    refreshHistoryList();
+    await popup;
+    historyOwner = null;
+}
+
+/**
+ * Render the snapshot list into the open history popup
+ */
+function refreshHistoryList() {
+    const list = $('#memory-manager-history-list');
+
+    if (!list.length || !historyOwner) {
+        return;
+    }
+
+    const snapshots = getSnapshots(historyOwner);
+
+    if (snapshots.length === 0) {
+        list.html('<div class="memory-manager-hint">No snapshots yet.</div>');
+        return;
+    }
+
+    list.html(snapshots.map(snapshot => `
+        <div class="memory-manager-history-item" data-id="${snapshot.id}">
+            <span>${new Date(snapshot.createdAt).toLocaleString()}</span>
+            <span class="memory-manager-category">${escapeHtml(snapshot.reason)}</span>
+            <span>${snapshot.memories.length} memories</span>
+            <input class="menu_button memory-manager-history-diff" type="button" value="Changes" />
+            <input class="menu_button memory-manager-history-restore" type="button" value="Restore" />
+        </div>`).join(''));
+}
+
+/**
+ * Render the differences between two versions of the memories
+ * @param {ReturnType<typeof diffMemories>} diff - Differences
+ * @returns {string} - HTML
+ */
+function renderDiff({ added, removed, changed }) {
+    const lines = [
+        ...removed.map(memory => `<div class="memory-manager-diff-removed">− ${escapeHtml(memory.text)}</div>`),
+        ...changed.map(({ before, after }) => `
+            <div class="memory-manager-diff-removed">− ${escapeHtml(before.text)}</div>
+            <div class="memory-manager-diff-added">+ ${escapeHtml(after.text)}</div>`),
+        ...added.map(memory => `<div class="memory-manager-diff-added">+ ${escapeHtml(memory.text)}</div>`),
+    ];
+
+    return lines.length > 0 ? lines.join('') : '<div class="memory-manager-hint">No changes to the memories.</div>';
+}
+
+// History popup handlers
+$(document).on('click', '.memory-manager-history-diff', function() {
+    const id = $(this).closest('.memory-manager-history-item').data('id');
+    const before = getSnapshotMemories(historyOwner, id);
+    const after = getVersionAfter(historyOwner, id);
+
+    if (before && after) {
+        $('#memory-manager-history-diff').html(renderDiff(diffMemories(before, after)));
+    }
+});
+
+$(document).on('click', '.memory-manager-history-restore', async function() {
+    const id = $(this).closest('.memory-manager-history-item').data('id');
+
+    if (await restoreSnapshot(historyOwner, id)) {
+        $('#memory-manager-history-diff').html('<div class="memory-manager-hint">Memories restored.</div>');
+        refreshHistoryList();
+    }
+});
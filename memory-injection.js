@@ -0,0 +1,180 @@
+/**
+ * Memory Injection Module
+ * Ranks stored memories against the recent messages and picks the most relevant ones for the prompt
+ */
+
+import { callPopup } from '../../../../script.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { getActiveMemories, getOwnerName } from './memory-store.js';
+import { tokenize, normalizeText } from './similarity.js';
+import { extractNames, escapeHtml } from './script.js';
+
+// BM25 term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Score added for each name in a memory that is mentioned in the recent messages
+const NAME_BONUS = 1.5;
+
+/**
+ * @typedef {object} RankedMemory
+ * @property {string} owner - Character avatar or group memory key
+ * @property {import('./memory-store.js').MemoryRecord} memory - Memory record
+ * @property {number} score - Relevance score
+ * @property {string[]} terms - Words shared with the recent messages
+ * @property {string[]} names - Names mentioned in the recent messages
+ */
+
+/**
+ * @typedef {object} InjectionReport
+ * @property {number} createdAt - Time of the ranking in milliseconds
+ * @property {string[]} queryTerms - Words taken from the recent messages
+ * @property {(RankedMemory & {tokens: number})[]} selected - Memories put into the prompt, best first
+ * @property {RankedMemory[]} skipped - Relevant memories left out by the count or token limits
+ * @property {number} tokens - Tokens used by the selected memories
+ */
+
+/**
+ * Rank the memories of some owners by relevance to a text, with BM25 over the memory words
+ * and a bonus for names the text mentions
+ * @param {string[]} owners - Character avatars or group memory keys
+ * @param {string} text - Recent messages
+ * @returns {{queryTerms: string[], ranked: RankedMemory[]}} - Query words and pinned memories or memories with a score above 0, best first
+ */
+export function rankMemories(owners, text) {
+    const queryTerms = [...new Set(tokenize(text))];
+    const normalizedText = ` ${normalizeText(text)} `;
+    const documents = owners.flatMap(owner => getActiveMemories(owner).map(memory => ({ owner, memory, tokens: tokenize(memory.text) })));
+
+    if (documents.length === 0) {
+        return { queryTerms, ranked: [] };
+    }
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.tokens.length, 0) / documents.length || 1;
+    const documentFrequency = new Map();
+
+    documents.forEach(doc => {
+        new Set(doc.tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+    });
+
+    const ranked = documents.map(({ owner, memory, tokens }) => {
+        const termCounts = new Map();
+        tokens.forEach(token => termCounts.set(token, (termCounts.get(token) || 0) + 1));
+
+        let score = 0;
+        const terms = [];
+
+        queryTerms.forEach(term => {
+            const count = termCounts.get(term);
+
+            if (!count) {
+                return;
+            }
+
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            score += idf * (count * (BM25_K1 + 1)) / (count + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / averageLength));
+            terms.push(term);
+        });
+
+        const names = extractNames(memory.text).filter(name => normalizedText.includes(` ${normalizeText(name)} `));
+        score += names.length * NAME_BONUS;
+
+        return { owner, memory, score, terms, names };
+    });
+
+    // Pinned memories come first whatever their score
+    return {
+        queryTerms,
+        ranked: ranked
+            .filter(item => item.score > 0 || item.memory.pinned)
+            .sort((a, b) => Number(!!b.memory.pinned) - Number(!!a.memory.pinned) || b.score - a.score),
+    };
+}
+
+/**
+ * Pick the most relevant memories for the prompt and render them
+ * @param {string[]} owners - Character avatars or group memory keys
+ * @param {string} text - Recent messages
+ * @param {object} limits - Selection limits
+ * @param {number} limits.maxMemories - Most memories to include
+ * @param {number} limits.tokenBudget - Most tokens the memories may use
+ * @returns {Promise<{prompt: string, report: InjectionReport}>} - Prompt text, empty if nothing is relevant, and how it was chosen
+ */
+export async function buildMemoryInjection(owners, text, { maxMemories, tokenBudget }) {
+    const { queryTerms, ranked } = rankMemories(owners, text);
+    const selected = [];
+    const skipped = [];
+    let tokens = 0;
+
+    for (const [index, item] of ranked.entries()) {
+        // Nothing more fits, the rest isn't counted
+        if (selected.length >= maxMemories || tokens >= tokenBudget) {
+            skipped.push(...ranked.slice(index));
+            break;
+        }
+
+        const memoryTokens = await getTokenCountAsync(`• ${item.memory.text}`);
+
+        // A shorter memory further down may still fit
+        if (tokens + memoryTokens > tokenBudget) {
+            skipped.push(item);
+            continue;
+        }
+
+        selected.push({ ...item, tokens: memoryTokens });
+        tokens += memoryTokens;
+    }
+
+    // Keep the memories of each owner in the order they happened
+    const sections = owners
+        .map(owner => {
+            const memories = selected
+                .filter(item => item.owner === owner)
+                .map(item => item.memory)
+                .sort((a, b) => a.createdAt - b.createdAt);
+
+            return memories.length > 0
+                ? `[Memories of ${getOwnerName(owner)}]\n${memories.map(memory => `• ${memory.text}`).join('\n')}`
+                : '';
+        })
+        .filter(Boolean);
+
+    return {
+        prompt: sections.join('\n\n'),
+        report: { createdAt: Date.now(), queryTerms, selected, skipped, tokens },
+    };
+}
+
+/**
+ * Show which memories were put into the last prompt and why
+ * @param {InjectionReport|null} report - Report of the last injection
+ * @returns {Promise<void>}
+ */
+export async function showInjectionReport(report) {
+    if (!report) {
+        await callPopup('<h3>Injected memories</h3><div class="memory-manager-hint">No memories were injected yet. They are chosen before each generation.</div>', 'text');
+        return;
+    }
+
+    const renderRow = (item, included) => `
+        <tr class="${included ? '' : 'memory-manager-injection-skipped'}">
+            <td>${item.score.toFixed(2)}</td>
+            <td>${escapeHtml(item.memory.text)}</td>
+            <td>${escapeHtml([...(item.memory.pinned ? ['pinned'] : []), ...item.names.map(name => `name: ${name}`), ...item.terms].join(', '))}</td>
+            <td>${included ? `${item.tokens} tokens` : 'over limit'}</td>
+        </tr>`;
+
+    const popupHtml = `
+    <div id="memory-manager-injection">
+        <h3>Injected memories</h3>
+        <div class="memory-manager-hint">Chosen ${new Date(report.createdAt).toLocaleString()}: ${report.selected.length} memories, ${report.tokens} tokens. Query words: ${escapeHtml(report.queryTerms.join(', '))}</div>
+        <table class="memory-manager-injection-table">
+            <tr><th>Score</th><th>Memory</th><th>Matched</th><th></th></tr>
+            ${report.selected.map(item => renderRow(item, true)).join('')}
+            ${report.skipped.map(item => renderRow(item, false)).join('')}
+        </table>
+    </div>`;
+
+    await callPopup(popupHtml, 'text', '', { wide: true });
+}
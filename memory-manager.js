@@ -3,92 +3,190 @@
  * Handles checking for new information and updating character notes
  */
 
-import { saveSettingsDebounced, callPopup, characters } from '../../../../script.js';
-import { formatDate } from './script.js';
+import { getRequestHeaders } from '../../../../script.js';
+import {
+    findCharacter,
+    isGroupOwner,
+    getOwnerName,
+    getMemoryStore,
+    createMemoryRecord,
+    getMemories,
+    getActiveMemories,
+    splitCharacterNotes,
+    buildCharacterNotes,
+    saveMemoryStore,
+    snapshotMemoryStore,
+} from './memory-store.js';
+import { findBestMatch, normalizeText, textSimilarity, changesStatement } from './similarity.js';
+import { getLorebookName, syncLorebook, removeLorebookEntries } from './lorebook-sync.js';
+import { getSettings, getModelOptions } from './settings.js';
+import { getEffectiveSettings } from './settings-overrides.js';
+import { findContradictions } from './contradiction-detection.js';
+import { rangesOverlap, remapIndex, remapRange } from './source-tracking.js';
 
 /**
- * Check if the summary contains new information not already in character notes
+ * Split a summary into individual memory items
  * @param {string} summary - The chat summary
- * @param {string} characterNotes - Current character notes
- * @param {string} userPersona - User persona information
- * @returns {string|null} - New information if found, null otherwise
+ * @returns {string[]} - Memory items
  */
-export function isNewInformation(summary, characterNotes, userPersona) {
-    if (!summary || summary.trim().length === 0) {
-        console.log('Memory Manager: No summary provided');
-        return null;
-    }
+export function splitSummaryItems(summary) {
+    return (summary || '').split(/\.\s+|\n+/)
+        .map(item => item.trim().replace(/^[•*-]\s*/, ''))
+        .filter(item => item.length > 10);  // Only consider meaningful sentences
+}
+
+/**
+ * @typedef {object} MemoryItem
+ * @property {string} text - Memory text
+ * @property {string} category - Memory category
+ * @property {number[]} [citations] - IDs of the messages the memory cites
+ * @property {import('./memory-verification.js').Verification} [verification] - Result of the check against the cited messages
+ */
+
+/**
+ * Normalize memory items given as plain strings or as items
+ * @param {(string|MemoryItem)[]} items - Memory items
+ * @param {string} [category] - Category for plain strings
+ * @returns {MemoryItem[]} - Memory items
+ */
+export function toMemoryItems(items, category = 'general') {
+    return items.map(item => typeof item === 'string' ? { text: item, category } : item);
+}
+
+/**
+ * @typedef {object} DuplicateMatch
+ * @property {string} item - Rejected memory item
+ * @property {string|null} matchedId - ID of the memory it matched, null if it matched other text
+ * @property {'memory'|'notes'|'persona'|'summary'} matchedSource - Where the matched text came from
+ * @property {string} matchedText - Text it matched
+ * @property {number} score - Similarity score between 0 and 1
+ */
+
+/**
+ * Check if the summary contains new information not already in the memories, hand-written notes or user persona.
+ * Items that are near-duplicates of existing text, or of an earlier item in the same summary, are rejected.
+ * Text that the item negates or says has changed is no duplicate, the contradiction check handles it.
+ * @param {string|(string|MemoryItem)[]} summary - The chat summary, or memory items already taken from it
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {string} userPersona - Description of the active user persona
+ * @param {number} [threshold] - Similarity from which an item counts as a duplicate
+ * @returns {{newItems: MemoryItem[], duplicates: DuplicateMatch[]}} - New items, and the rejected items with what they matched
+ */
+export function isNewInformation(summary, characterAvatar, userPersona, threshold = 0.8) {
+    const summaryItems = toMemoryItems(Array.isArray(summary) ? summary : splitSummaryItems(summary));
+    const newItems = [];
+    const duplicates = [];
     
-    // If there are no existing notes, all information is new
-    if (!characterNotes || characterNotes.trim().length === 0) {
-        return summary;
+    if (summaryItems.length === 0) {
+        console.log('Memory Manager: No summary provided');
+        return { newItems, duplicates };
     }
     
-    // Simple heuristic: Check if any sentences in the summary are not in the notes
-    // This is a basic implementation that could be improved with more sophisticated NLP
-    const summaryItems = summary.split(/\.\s+|\n+/).filter(item => 
-        item && item.trim().length > 10  // Only consider meaningful sentences
-    );
+    // Compare against stored memories and the sentences of the hand-written notes and the persona
+    const notes = isGroupOwner(characterAvatar) ? '' : findCharacter(characterAvatar)?.data?.character_notes;
+    const references = [
+        ...getActiveMemories(characterAvatar).map(memory => ({ id: memory.id, source: 'memory', text: memory.text })),
+        ...splitSummaryItems(splitCharacterNotes(notes).manual).map(text => ({ id: null, source: 'notes', text })),
+        ...splitSummaryItems(userPersona || '').map(text => ({ id: null, source: 'persona', text })),
+    ];
     
-    const newItems = summaryItems.filter(item => {
-        // Check if this information is already in the notes
-        const itemLower = item.toLowerCase().trim();
-        const notesLower = characterNotes.toLowerCase();
+    summaryItems.forEach(item => {
+        const comparable = references.filter(reference => !changesStatement(item.text, reference.text));
+        const match = findBestMatch(item.text, comparable, reference => reference.text);
         
-        // If the exact sentence or something very similar exists in notes, skip it
-        return !notesLower.includes(itemLower) && 
-               !notesLower.includes(itemLower.substring(0, itemLower.length - 5));
+        if (match && match.score >= threshold) {
+            duplicates.push({
+                item: item.text,
+                matchedId: match.candidate.id,
+                matchedSource: match.candidate.source,
+                matchedText: match.candidate.text,
+                score: match.score,
+            });
+            return;
+        }
+        
+        newItems.push(item);
+        // Later items in the same summary are checked against this one too
+        references.push({ id: null, source: 'summary', text: item.text });
     });
     
-    if (newItems.length === 0) {
-        return null;
-    }
+    duplicates.forEach(duplicate => {
+        console.log(`Memory Manager: Skipped "${duplicate.item}", matches ${duplicate.matchedId || duplicate.matchedSource} "${duplicate.matchedText}" (${duplicate.score.toFixed(2)})`);
+    });
     
-    // Format the new information with bullet points and a date
-    const date = formatDate(new Date());
-    let newInformation = `\n\n--- Memory Update (${date}) ---\n`;
+    return { newItems, duplicates };
+}
+
+/**
+ * Find memories matching a search query, best matches first.
+ * Memories containing the query match fully, others match by similarity.
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {string} query - Search text
+ * @param {number} [minScore] - Lowest similarity to include
+ * @returns {{memory: import('./memory-store.js').MemoryRecord, score: number}[]} - Matching memories with their scores
+ */
+export function searchMemories(characterAvatar, query, minScore = 0.3) {
+    const normalizedQuery = normalizeText(query);
     
-    newItems.forEach(item => {
-        newInformation += `• ${item.trim()}.\n`;
-    });
+    if (!normalizedQuery) {
+        return [];
+    }
     
-    return newInformation;
+    return getMemories(characterAvatar)
+        .map(memory => ({
+            memory,
+            score: normalizeText(memory.text).includes(normalizedQuery) ? 1 : textSimilarity(query, memory.text),
+        }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score);
 }
 
 /**
- * Update character notes with new information
- * @param {string} characterId - ID of the character to update
- * @param {string} currentNotes - Current character notes
- * @param {string} newInformation - New information to add
+ * Add new memories to a character or group and refresh the character notes
+ * @param {string} characterAvatar - Avatar of the character to update, or the key of a group memory
+ * @param {(string|MemoryItem)[]} newItems - New memory items to add
+ * @param {object} [details] - Where the memories came from
+ * @param {string|null} [details.chatId] - Source chat ID
+ * @param {string|null} [details.sourceGroupId] - Group the source chat belongs to
+ * @param {{start: number, end: number}|null} [details.sourceRange] - Source message range
+ * @param {string} [details.category] - Category of new memories given as plain strings
+ * @param {string} [details.reason] - Reason recorded with the history snapshot
+ * @param {AbortSignal} [details.signal] - Stops the contradiction check with the model when its job is cancelled
  * @returns {Promise<boolean>} - Whether update was successful
  */
-export async function updateCharacterNotes(characterId, currentNotes, newInformation) {
+export async function updateCharacterNotes(characterAvatar, newItems, { chatId = null, sourceGroupId = null, sourceRange = null, category = 'general', reason = 'new memories', signal = null } = {}) {
     try {
-        if (!characterId || !newInformation) {
-            console.error('Memory Manager: Missing character ID or new information');
+        if (!characterAvatar || !newItems || newItems.length === 0) {
+            console.error('Memory Manager: Missing character avatar or new information');
             return false;
         }
         
-        // Find the character in the current character array
-        const character = characters.find(char => char.avatar === characterId);
+        const store = getMemoryStore(characterAvatar);
         
-        if (!character) {
-            console.error(`Memory Manager: Character with ID ${characterId} not found`);
+        if (!store) {
+            console.error(`Memory Manager: Memory owner ${characterAvatar} not found`);
             return false;
         }
         
-        // Update the character notes
-        const updatedNotes = currentNotes ? currentNotes + newInformation : newInformation;
-        
-        // Update character data
-        if (!character.data) {
-            character.data = {};
-        }
+        snapshotMemoryStore(characterAvatar, reason);
         
-        character.data.character_notes = updatedNotes;
+        const existingMemories = getActiveMemories(characterAvatar);
+        const createdAt = Date.now();
+        const newMemories = toMemoryItems(newItems, category)
+            .map(item => createMemoryRecord(item.text, {
+                characterAvatar,
+                category: item.category,
+                chatId,
+                sourceGroupId,
+                sourceRange,
+                createdAt,
+                citations: item.citations,
+                verification: item.verification,
+            }));
         
-        // Save the character file
-        await updateCharacter(character);
+        store.memories.push(...newMemories);
+        await supersedeContradictedMemories(characterAvatar, newMemories, existingMemories, signal);
+        await commitMemories(characterAvatar);
         
         return true;
     } catch (error) {
@@ -98,18 +196,288 @@ export async function updateCharacterNotes(characterId, currentNotes, newInforma
 }
 
 /**
- * Update the character file
+ * Mark the existing memories that new memories contradict as superseded by them
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {import('./memory-store.js').MemoryRecord[]} newMemories - Memories just added
+ * @param {import('./memory-store.js').MemoryRecord[]} existingMemories - Memories that were current before
+ * @param {AbortSignal} [signal] - Stops the check with the model when its job is cancelled
+ * @returns {Promise<void>}
+ */
+async function supersedeContradictedMemories(characterAvatar, newMemories, existingMemories, signal = null) {
+    const settings = getSettings();
+    const contradictions = await findContradictions(newMemories, existingMemories, {
+        mode: settings.contradictionCheck,
+        ownerName: getOwnerName(characterAvatar),
+        modelOptions: { ...getModelOptions(getEffectiveSettings(characterAvatar)), signal },
+    });
+    const supersededAt = Date.now();
+    
+    contradictions.forEach(({ newId, oldId, method }) => {
+        const oldMemory = existingMemories.find(memory => memory.id === oldId);
+        
+        if (oldMemory && !oldMemory.supersededBy) {
+            oldMemory.supersededBy = newId;
+            oldMemory.supersededAt = supersededAt;
+            console.log(`Memory Manager: "${oldMemory.text}" superseded by ${newId} (${method})`);
+        }
+    });
+}
+
+/**
+ * Make the memories superseded by removed memories current again
+ * @param {import('./memory-store.js').MemoryStore} store - Memory store
+ * @param {string[]} removedIds - IDs of the removed memories
+ */
+function releaseSupersededMemories(store, removedIds) {
+    store.memories
+        .filter(memory => removedIds.includes(memory.supersededBy))
+        .forEach(memory => {
+            delete memory.supersededBy;
+            delete memory.supersededAt;
+        });
+}
+
+/**
+ * Report a change to the memories that could not be saved
+ * @param {string} change - What was changed, e.g. "edited memory"
+ * @param {Error} error - Save error
+ */
+function reportSaveError(change, error) {
+    console.error(`Memory Manager: Error saving the ${change}`, error);
+    toastr.error(error.message, `Could not save the ${change}`);
+}
+
+/**
+ * Change the text of a stored memory
+ * @param {string} characterAvatar - Avatar of the character
+ * @param {string} memoryId - ID of the memory to edit
+ * @param {string} text - New memory text
+ * @returns {Promise<boolean>} - Whether the memory was found and the change saved
+ */
+export async function editMemory(characterAvatar, memoryId, text) {
+    const memory = getMemoryStore(characterAvatar)?.memories.find(item => item.id === memoryId);
+    
+    if (!memory || !text || !text.trim()) {
+        return false;
+    }
+    
+    snapshotMemoryStore(characterAvatar, 'edit');
+    memory.text = text.trim();
+    memory.updatedAt = Date.now();
+    
+    try {
+        await commitMemories(characterAvatar);
+        return true;
+    } catch (error) {
+        reportSaveError('edited memory', error);
+        return false;
+    }
+}
+
+/**
+ * Pin or unpin a stored memory
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {string} memoryId - ID of the memory
+ * @param {boolean} pinned - Whether the memory should be pinned
+ * @returns {Promise<boolean>} - Whether the memory was found and the change saved
+ */
+export async function setMemoryPinned(characterAvatar, memoryId, pinned) {
+    const memory = getMemoryStore(characterAvatar)?.memories.find(item => item.id === memoryId);
+    
+    if (!memory) {
+        return false;
+    }
+    
+    if (pinned) {
+        memory.pinned = true;
+    } else {
+        delete memory.pinned;
+    }
+    
+    try {
+        await saveMemoryStore(characterAvatar);
+        return true;
+    } catch (error) {
+        reportSaveError(pinned ? 'pinned memory' : 'unpinned memory', error);
+        return false;
+    }
+}
+
+/**
+ * Remove a stored memory
+ * @param {string} characterAvatar - Avatar of the character
+ * @param {string} memoryId - ID of the memory to remove
+ * @returns {Promise<boolean>} - Whether the memory was found and the removal saved
+ */
+export async function deleteMemory(characterAvatar, memoryId) {
+    const store = getMemoryStore(characterAvatar);
+    const index = store ? store.memories.findIndex(item => item.id === memoryId) : -1;
+    
+    if (index === -1) {
+        return false;
+    }
+    
+    snapshotMemoryStore(characterAvatar, 'delete');
+    store.memories.splice(index, 1);
+    releaseSupersededMemories(store, [memoryId]);
+    
+    try {
+        await commitMemories(characterAvatar);
+        return true;
+    } catch (error) {
+        reportSaveError('memory removal', error);
+        return false;
+    }
+}
+
+/**
+ * Flag the memories of a chat whose source messages changed as stale, and unflag the others
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {string} chatId - Chat the changed ranges belong to
+ * @param {{start: number, end: number}[]} changedRanges - Summarized ranges whose messages changed
+ * @returns {Promise<number>} - Number of memories newly flagged as stale
+ */
+export async function updateStaleMemories(characterAvatar, chatId, changedRanges) {
+    let newlyStale = 0;
+    let modified = false;
+    
+    getMemories(characterAvatar)
+        .filter(memory => memory.chatId === chatId && memory.sourceRange)
+        .forEach(memory => {
+            const stale = changedRanges.some(range => rangesOverlap(range, memory.sourceRange));
+            
+            if (stale === !!memory.stale) {
+                return;
+            }
+            
+            if (stale) {
+                memory.stale = true;
+                newlyStale++;
+            } else {
+                delete memory.stale;
+            }
+            modified = true;
+        });
+    
+    if (modified) {
+        await saveMemoryStore(characterAvatar);
+    }
+    
+    return newlyStale;
+}
+
+/**
+ * Point the memories of a chat at the messages they were summarized from, after those messages moved
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {string} chatId - Chat the moved ranges belong to
+ * @param {import('./source-tracking.js').RangeMove[]} moves - Moved ranges
+ * @returns {Promise<number>} - Number of updated memories
+ */
+export async function moveMemorySources(characterAvatar, chatId, moves) {
+    let moved = 0;
+    
+    getMemories(characterAvatar)
+        .filter(memory => memory.chatId === chatId && memory.sourceRange)
+        .forEach(memory => {
+            const sourceRange = remapRange(memory.sourceRange, moves);
+            
+            if (sourceRange.start === memory.sourceRange.start && sourceRange.end === memory.sourceRange.end) {
+                return;
+            }
+            
+            memory.sourceRange = sourceRange;
+            
+            if (memory.citations) {
+                memory.citations = memory.citations.map(index => remapIndex(index, moves));
+            }
+            moved++;
+        });
+    
+    if (moved > 0) {
+        await saveMemoryStore(characterAvatar);
+    }
+    
+    return moved;
+}
+
+/**
+ * Remove the memories summarized from a message range of a chat, before it's summarized again
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @param {string} chatId - Chat ID
+ * @param {{start: number, end: number}} range - Inclusive message range
+ * @returns {Promise<number>} - Number of removed memories
+ */
+export async function removeRangeMemories(characterAvatar, chatId, range) {
+    const store = getMemoryStore(characterAvatar);
+    const isFromRange = memory => memory.chatId === chatId && memory.sourceRange && rangesOverlap(range, memory.sourceRange);
+    const count = store ? store.memories.filter(isFromRange).length : 0;
+    
+    if (count === 0) {
+        return 0;
+    }
+    
+    snapshotMemoryStore(characterAvatar, 're-summarize');
+    const removedIds = store.memories.filter(isFromRange).map(memory => memory.id);
+    store.memories = store.memories.filter(memory => !isFromRange(memory));
+    releaseSupersededMemories(store, removedIds);
+    
+    await commitMemories(characterAvatar);
+    return count;
+}
+
+/**
+ * Save the memory store and write the memories to the configured targets:
+ * the character notes, a lorebook, both, or only the store. Group memories have no notes.
+ * The target can be overridden per character or group, and for the current chat.
+ * @param {string} characterAvatar - Avatar of the character, or the key of a group memory
+ * @returns {Promise<void>}
+ */
+export async function commitMemories(characterAvatar) {
+    const settings = getEffectiveSettings(characterAvatar);
+    const store = getMemoryStore(characterAvatar);
+    const writeNotes = settings.memoryTarget === 'notes' || settings.memoryTarget === 'both';
+    const writeLorebook = settings.memoryTarget === 'lorebook' || settings.memoryTarget === 'both';
+    
+    await saveMemoryStore(characterAvatar);
+    
+    const activeMemories = store.memories.filter(memory => !memory.supersededBy);
+    
+    if (!isGroupOwner(characterAvatar)) {
+        const character = findCharacter(characterAvatar);
+        const noteMemories = settings.supersededDisplay === 'mark' ? store.memories : activeMemories;
+        character.data.character_notes = buildCharacterNotes(character.data.character_notes, writeNotes ? noteMemories : []);
+        await updateCharacter(character);
+    }
+    
+    const ownerName = getOwnerName(characterAvatar);
+    const bookName = getLorebookName(settings.lorebookName, ownerName);
+    
+    if (writeLorebook) {
+        await syncLorebook(bookName, activeMemories, characterAvatar, ownerName);
+    } else {
+        // The memories were written there before the target changed
+        await removeLorebookEntries(bookName, characterAvatar);
+    }
+}
+
+/**
+ * Save the character notes to the character file
  * @param {object} character - Character object to update
  * @returns {Promise<void>}
  */
 async function updateCharacter(character) {
     try {
-        // Check if the saveCharacterDebounced function exists
-        if (typeof saveCharacterDebounced === 'function') {
-            await saveCharacterDebounced();
-        } else {
-            // Fallback to manual character saving via API
-            await callPopup('Character notes updated. Please save the character manually.', 'text');
+        const response = await fetch('/api/characters/merge-attributes', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                avatar: character.avatar,
+                data: { character_notes: character.data.character_notes },
+            }),
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Character save failed: ${response.status} ${response.statusText}`);
         }
     } catch (error) {
         console.error('Memory Manager: Error saving character', error);
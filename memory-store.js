@@ -0,0 +1,464 @@
+/**
+ * Memory Store Module
+ * Keeps character memories as structured records and renders them into character notes
+ */
+
+import { characters } from '../../../../script.js';
+import { writeExtensionField } from '../../../extensions.js';
+import { groups, editGroup } from '../../../group-chats.js';
+import { getSettings } from './settings.js';
+import { formatDate, parseDate, generateMemoryId, memoryDataKey, safeClone } from './script.js';
+
+const STORE_VERSION = 1;
+const MEMORY_BLOCK_HEADER = /^--- Memory Update \((.+)\) ---$/;
+const MEMORY_BULLET = /^•\s*/;
+const GROUP_OWNER_PREFIX = 'group:';
+
+const saveListeners = [];
+
+// Memory categories and their labels, {{char}} and {{user}} are filled in where they're shown
+export const MEMORY_CATEGORIES = {
+    general: 'General',
+    events: 'Events',
+    relationships: 'Relationship changes',
+    promises: 'Promises',
+    character: 'Facts about {{char}}',
+    user: 'Facts about {{user}}',
+    world: 'Locations and items',
+    summary: 'Consolidated summary',
+};
+
+/**
+ * @typedef {object} MemoryRecord
+ * @property {string} id - Short unique identifier
+ * @property {string} text - Memory text
+ * @property {string} category - Memory category
+ * @property {number} createdAt - Creation time in milliseconds
+ * @property {number} updatedAt - Last change time in milliseconds
+ * @property {string|null} chatId - Chat the memory was summarized from
+ * @property {string} [sourceGroupId] - Group the source chat belongs to, absent for character chats
+ * @property {{start: number, end: number}|null} sourceRange - Inclusive range of source message indices
+ * @property {string} characterAvatar - Avatar of the character the memory belongs to, or the key of a group memory
+ * @property {boolean} [stale] - Whether the source messages were edited, deleted or swiped since
+ * @property {string} [supersededBy] - ID of the later memory that contradicts or replaces this one
+ * @property {number} [supersededAt] - Time the memory was superseded in milliseconds
+ * @property {boolean} [pinned] - Whether the memory is always injected and never consolidated
+ * @property {number[]} [citations] - IDs of the messages the summary cited for this memory
+ * @property {import('./memory-verification.js').Verification} [verification] - Result of the check against the cited messages
+ */
+
+/**
+ * @typedef {object} MemoryStore
+ * @property {number} version - Store format version
+ * @property {MemoryRecord[]} memories - Memory records, oldest first
+ * @property {MemorySnapshot[]} history - Snapshots taken before each change, oldest first
+ * @property {Object<string, import('./relationship-tracker.js').Relationship>} [relationships] - Relationships with other people, keyed by their name
+ */
+
+/**
+ * Find a character by its avatar file name
+ * @param {string} avatar - Character avatar
+ * @returns {object|undefined} - Character object
+ */
+export function findCharacter(avatar) {
+    return characters.find(char => char.avatar === avatar);
+}
+
+/**
+ * Get the key under which the shared memories of a group are stored
+ * @param {string} groupId - Group ID
+ * @returns {string} - Memory owner key of the group
+ */
+export function getGroupOwnerKey(groupId) {
+    return `${GROUP_OWNER_PREFIX}${groupId}`;
+}
+
+/**
+ * Check whether a memory owner is a group rather than a character
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {boolean} - Whether the owner is a group
+ */
+export function isGroupOwner(owner) {
+    return typeof owner === 'string' && owner.startsWith(GROUP_OWNER_PREFIX);
+}
+
+/**
+ * Find a group by its memory owner key
+ * @param {string} owner - Group memory key
+ * @returns {object|undefined} - Group object
+ */
+function findGroup(owner) {
+    const groupId = owner.slice(GROUP_OWNER_PREFIX.length);
+    return groups.find(group => String(group.id) === groupId);
+}
+
+/**
+ * Get the display name of a memory owner
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {string} - Character or group name
+ */
+export function getOwnerName(owner) {
+    const item = isGroupOwner(owner) ? findGroup(owner) : findCharacter(owner);
+    return item?.name || owner;
+}
+
+/**
+ * Get the stored memories of a character or group without creating its store
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {MemoryRecord[]} - Memory records, empty if there is no store yet
+ */
+function findStoredMemories(owner) {
+    const store = isGroupOwner(owner) ? findGroup(owner)?.[memoryDataKey] : findCharacter(owner)?.data?.extensions?.[memoryDataKey];
+    return store?.memories || [];
+}
+
+/**
+ * Create a new memory record
+ * @param {string} text - Memory text
+ * @param {object} details - Record details
+ * @param {string} details.characterAvatar - Avatar of the owning character
+ * @param {string} [details.category] - Memory category
+ * @param {string|null} [details.chatId] - Source chat ID
+ * @param {string|null} [details.sourceGroupId] - Group the source chat belongs to
+ * @param {{start: number, end: number}|null} [details.sourceRange] - Source message range
+ * @param {number} [details.createdAt] - Creation time, defaults to now
+ * @param {number[]} [details.citations] - IDs of the cited source messages
+ * @param {import('./memory-verification.js').Verification} [details.verification] - Result of the source check
+ * @param {Set<string>} [details.takenIds] - IDs in use, defaults to those of the owner's stored memories
+ * @returns {MemoryRecord} - New record
+ */
+export function createMemoryRecord(text, { characterAvatar, category = 'general', chatId = null, sourceGroupId = null, sourceRange = null, createdAt = Date.now(), citations, verification, takenIds }) {
+    return {
+        id: generateMemoryId(takenIds || new Set(findStoredMemories(characterAvatar).map(memory => memory.id))),
+        text: text.trim(),
+        category,
+        createdAt,
+        updatedAt: createdAt,
+        chatId,
+        ...(sourceGroupId ? { sourceGroupId } : {}),
+        sourceRange,
+        characterAvatar,
+        ...(citations ? { citations } : {}),
+        ...(verification ? { verification } : {}),
+    };
+}
+
+/**
+ * Get the memory store of a character or group, creating it on first use.
+ * A new character store starts with the memories found in the character notes.
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {MemoryStore|null} - The live store object, or null if the owner is not found
+ */
+export function getMemoryStore(owner) {
+    if (isGroupOwner(owner)) {
+        const group = findGroup(owner);
+
+        if (!group) {
+            return null;
+        }
+
+        if (!group[memoryDataKey]) {
+            group[memoryDataKey] = { version: STORE_VERSION, memories: [], history: [] };
+        }
+
+        return group[memoryDataKey];
+    }
+
+    const character = findCharacter(owner);
+
+    if (!character) {
+        return null;
+    }
+
+    if (!character.data) {
+        character.data = {};
+    }
+
+    if (!character.data.extensions) {
+        character.data.extensions = {};
+    }
+
+    if (!character.data.extensions[memoryDataKey]) {
+        character.data.extensions[memoryDataKey] = {
+            version: STORE_VERSION,
+            memories: migrateLegacyNotes(character.data.character_notes, owner),
+            history: [],
+        };
+    }
+
+    return character.data.extensions[memoryDataKey];
+}
+
+/**
+ * Get all memories of a character or group
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {MemoryRecord[]} - Memory records, oldest first
+ */
+export function getMemories(owner) {
+    return getMemoryStore(owner)?.memories || [];
+}
+
+/**
+ * Get the memories of a character or group that haven't been superseded by later ones
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {MemoryRecord[]} - Memory records, oldest first
+ */
+export function getActiveMemories(owner) {
+    return getMemories(owner).filter(memory => !memory.supersededBy);
+}
+
+/**
+ * Find a memory record by ID
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} id - Memory ID
+ * @returns {MemoryRecord|undefined} - Memory record
+ */
+export function findMemory(owner, id) {
+    return getMemories(owner).find(memory => memory.id === id);
+}
+
+/**
+ * Call a function whenever a memory store has been saved
+ * @param {(owner: string) => void} listener - Called with the owner of the saved store
+ */
+export function onMemoryStoreSaved(listener) {
+    saveListeners.push(listener);
+}
+
+/**
+ * Persist the memory store of a character to its card, or of a group to the group file
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {Promise<void>}
+ */
+export async function saveMemoryStore(owner) {
+    if (isGroupOwner(owner)) {
+        const group = findGroup(owner);
+
+        if (!group) {
+            throw new Error(`Group ${owner} not found`);
+        }
+
+        await editGroup(group.id, true, false);
+    } else {
+        const characterIndex = characters.findIndex(char => char.avatar === owner);
+
+        if (characterIndex === -1) {
+            throw new Error(`Character with avatar ${owner} not found`);
+        }
+
+        await writeExtensionField(characterIndex, memoryDataKey, getMemoryStore(owner));
+    }
+
+    saveListeners.forEach(listener => listener(owner));
+}
+
+/**
+ * @typedef {object} MemorySnapshot
+ * @property {string} id - Short unique identifier
+ * @property {number} createdAt - Time the snapshot was taken in milliseconds
+ * @property {string} reason - The change the snapshot was taken before
+ * @property {(MemoryRecord|string)[]} memories - Memory records at that time. After the first snapshot,
+ * records that didn't change since the snapshot before are kept as their ID only.
+ * @property {boolean} [backup] - Whether the snapshot is kept whatever the retention setting, see snapshotMemoryStore
+ * @property {string} [notes] - Character notes at that time, only in the backup
+ */
+
+/**
+ * Rebuild the full memory records of each snapshot
+ * @param {MemorySnapshot[]} history - Snapshots, oldest first
+ * @returns {MemoryRecord[][]} - Memory records of each snapshot
+ */
+function resolveHistory(history) {
+    const versions = [];
+
+    history.forEach((snapshot, index) => {
+        const previous = new Map((versions[index - 1] || []).map(memory => [memory.id, memory]));
+        versions.push(snapshot.memories.map(entry => typeof entry === 'string' ? previous.get(entry) : entry).filter(Boolean));
+    });
+
+    return versions;
+}
+
+/**
+ * Get the full memory records of a snapshot
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {MemoryRecord[]|null} - Memory records, null if the snapshot is not found
+ */
+export function getSnapshotMemories(owner, snapshotId) {
+    const history = getMemoryStore(owner)?.history || [];
+    const index = history.findIndex(snapshot => snapshot.id === snapshotId);
+
+    return index === -1 ? null : resolveHistory(history.slice(0, index + 1))[index];
+}
+
+/**
+ * Store memory records as a snapshot entry: the records that didn't change since the previous snapshot are kept as their ID
+ * @param {MemoryRecord[]} memories - Memory records of the snapshot
+ * @param {MemoryRecord[]} previous - Memory records of the previous snapshot, empty for the first one
+ * @returns {(MemoryRecord|string)[]} - Snapshot entries
+ */
+function encodeSnapshot(memories, previous) {
+    const previousById = new Map(previous.map(memory => [memory.id, JSON.stringify(memory)]));
+    return memories.map(memory => previousById.get(memory.id) === JSON.stringify(memory) ? memory.id : safeClone(memory));
+}
+
+/**
+ * Keep a snapshot of the current memories in the store history. Only the records that changed since
+ * the previous snapshot are copied, so the history grows with the changes rather than with the memories.
+ * The oldest snapshots are dropped beyond the retention setting, except the one kept as a backup.
+ * @param {string} owner - Character avatar or group memory key
+ * @param {string} reason - The change the snapshot is taken before
+ * @param {object} [options] - Snapshot options
+ * @param {boolean} [options.backup=false] - Keep this snapshot, with the character notes, whatever the retention setting,
+ * until the next backup replaces it. Used before consolidations, which can't be redone.
+ */
+export function snapshotMemoryStore(owner, reason, { backup = false } = {}) {
+    const store = getMemoryStore(owner);
+
+    if (!store) {
+        return;
+    }
+
+    const versions = resolveHistory(store.history);
+
+    if (backup) {
+        store.history.forEach(snapshot => {
+            delete snapshot.backup;
+            delete snapshot.notes;
+        });
+    }
+
+    store.history.push({
+        id: generateMemoryId(new Set(store.history.map(snapshot => snapshot.id))),
+        createdAt: Date.now(),
+        reason,
+        memories: encodeSnapshot(store.memories, versions[versions.length - 1] || []),
+        ...(backup ? {
+            backup: true,
+            notes: isGroupOwner(owner) ? renderMemoryNotes(store.memories) : findCharacter(owner)?.data?.character_notes || '',
+        } : {}),
+    });
+    versions.push(store.memories);
+
+    const retention = Math.max(0, Number(getSettings().historyRetention) || 0);
+    const prunable = store.history.filter(snapshot => !snapshot.backup);
+    const dropped = new Set(prunable.slice(0, Math.max(0, prunable.length - retention)));
+
+    if (dropped.size > 0) {
+        // The snapshots left may follow a different snapshot now, so they are stored again against it
+        const kept = store.history
+            .map((snapshot, index) => ({ snapshot, memories: versions[index] }))
+            .filter(({ snapshot }) => !dropped.has(snapshot));
+
+        store.history = kept.map(({ snapshot, memories }, index) => ({
+            ...snapshot,
+            memories: encodeSnapshot(memories, kept[index - 1]?.memories || []),
+        }));
+    }
+}
+
+/**
+ * Split character notes into the hand-written part and the Memory Update blocks managed by this extension.
+ * Lines after the first block that are neither headers nor bullets count as hand-written.
+ * @param {string} notes - Character notes
+ * @returns {{manual: string, managed: string}} - Both parts of the notes
+ */
+export function splitCharacterNotes(notes) {
+    const lines = (notes || '').split('\n');
+    const firstHeader = lines.findIndex(line => MEMORY_BLOCK_HEADER.test(line.trim()));
+
+    if (firstHeader === -1) {
+        return { manual: notes || '', managed: '' };
+    }
+
+    const manual = lines.slice(0, firstHeader);
+    const managed = [];
+
+    lines.slice(firstHeader).forEach(line => {
+        const trimmed = line.trim();
+
+        if (MEMORY_BLOCK_HEADER.test(trimmed) || MEMORY_BULLET.test(trimmed)) {
+            managed.push(line);
+        } else if (trimmed) {
+            manual.push(line);
+        }
+    });
+
+    return {
+        manual: manual.join('\n'),
+        managed: managed.join('\n'),
+    };
+}
+
+/**
+ * Render memory records as dated Memory Update blocks. Superseded memories are marked as outdated.
+ * @param {MemoryRecord[]} memories - Memory records, oldest first
+ * @returns {string} - Rendered memory text
+ */
+export function renderMemoryNotes(memories) {
+    const blocks = [];
+    let currentDate = null;
+
+    memories.forEach(memory => {
+        const date = formatDate(new Date(memory.createdAt));
+
+        if (date !== currentDate) {
+            blocks.push(`--- Memory Update (${date}) ---`);
+            currentDate = date;
+        }
+
+        blocks[blocks.length - 1] += `\n• ${memory.supersededBy ? '(outdated) ' : ''}${memory.text.replace(/\.$/, '')}.`;
+    });
+
+    return blocks.join('\n\n');
+}
+
+/**
+ * Build the character notes from the hand-written part and the rendered memories
+ * @param {string} currentNotes - Current character notes
+ * @param {MemoryRecord[]} memories - Memory records
+ * @returns {string} - Updated character notes
+ */
+export function buildCharacterNotes(currentNotes, memories) {
+    const manual = splitCharacterNotes(currentNotes).manual.trimEnd();
+    const rendered = renderMemoryNotes(memories);
+
+    if (!rendered) {
+        return manual;
+    }
+
+    return manual ? `${manual}\n\n${rendered}\n` : `${rendered}\n`;
+}
+
+/**
+ * Convert Memory Update blocks appended by earlier versions into memory records
+ * @param {string} notes - Character notes
+ * @param {string} avatar - Character avatar
+ * @returns {MemoryRecord[]} - Migrated records
+ */
+function migrateLegacyNotes(notes, avatar) {
+    const { managed } = splitCharacterNotes(notes);
+    const memories = [];
+    const takenIds = new Set();
+    let createdAt = Date.now();
+
+    managed.split('\n').forEach(line => {
+        const trimmed = line.trim();
+        const header = MEMORY_BLOCK_HEADER.exec(trimmed);
+
+        if (header) {
+            createdAt = parseDate(header[1])?.getTime() ?? createdAt;
+        } else if (MEMORY_BULLET.test(trimmed)) {
+            const text = trimmed.replace(MEMORY_BULLET, '').replace(/\.$/, '');
+
+            if (text) {
+                const record = createMemoryRecord(text, { characterAvatar: avatar, createdAt, takenIds });
+                takenIds.add(record.id);
+                memories.push(record);
+            }
+        }
+    });
+
+    return memories;
+}
@@ -0,0 +1,265 @@
+/**
+ * Memory Transfer Module
+ * Exports the memories of a character to versioned JSON or readable Markdown, and imports them into any character
+ */
+
+import { getMemoryStore, getMemories, getOwnerName, MEMORY_CATEGORIES, snapshotMemoryStore } from './memory-store.js';
+import { isNewInformation, commitMemories } from './memory-manager.js';
+import { getPersonaDescription } from './persona-memories.js';
+import { formatDate, parseDate, generateMemoryId } from './script.js';
+
+// Identifies exported files, and the version of their layout
+export const EXPORT_FORMAT = 'character-memory-manager';
+export const EXPORT_VERSION = 1;
+
+// Separates the details in the line below each memory of a Markdown export
+const DETAIL_SEPARATOR = ' · ';
+
+// Shape of the IDs made by generateMemoryId, other imported IDs are replaced
+const MEMORY_ID_PATTERN = /^m[0-9a-z]+$/;
+
+/**
+ * @typedef {object} MemoryExport
+ * @property {string} format - Always EXPORT_FORMAT
+ * @property {number} version - Layout version
+ * @property {string} exportedAt - Export time as an ISO date
+ * @property {{name: string, owner: string}} source - Character or group the memories were exported from
+ * @property {import('./memory-store.js').MemoryRecord[]} memories - Memory records, oldest first
+ */
+
+/**
+ * Export the memories of a character or group with all their details
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {MemoryExport} - Export data
+ */
+export function exportMemoriesJson(owner) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: { name: getOwnerName(owner), owner },
+        memories: getMemories(owner),
+    };
+}
+
+/**
+ * Export the memories of a character or group as Markdown, grouped by category
+ * @param {string} owner - Character avatar or group memory key
+ * @returns {string} - Markdown text
+ */
+export function exportMemoriesMarkdown(owner) {
+    const memories = getMemories(owner);
+    const lines = [
+        `# Memories of ${getOwnerName(owner)}`,
+        '',
+        `Exported ${formatDate(new Date())}, ${memories.length} memories (${EXPORT_FORMAT} version ${EXPORT_VERSION}).`,
+    ];
+
+    Object.entries(MEMORY_CATEGORIES).forEach(([category, label]) => {
+        const categoryMemories = memories.filter(memory => (memory.category in MEMORY_CATEGORIES ? memory.category : 'general') === category);
+
+        if (categoryMemories.length === 0) {
+            return;
+        }
+
+        lines.push('', `## ${label}`, '');
+        categoryMemories.forEach(memory => {
+            const details = [
+                memory.id,
+                formatDate(new Date(memory.createdAt)),
+                ...(memory.chatId ? [`chat "${memory.chatId}"${memory.sourceRange ? ` messages ${memory.sourceRange.start}-${memory.sourceRange.end}` : ''}`] : []),
+                ...(memory.pinned ? ['pinned'] : []),
+                ...(memory.supersededBy ? [`superseded by ${memory.supersededBy}`] : []),
+                ...(memory.stale ? ['stale'] : []),
+            ];
+
+            lines.push(`- ${memory.text.replace(/\s*\n\s*/g, ' ')}`, `  _${details.join(DETAIL_SEPARATOR)}_`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Turn an imported memory into a clean record without an owner. IDs that don't look like memory IDs are dropped, a new one is made on import.
+ * @param {object} memory - Memory as found in the import
+ * @returns {object|null} - Record, null if it has no text
+ */
+function normalizeImportedMemory(memory) {
+    const text = String(memory?.text ?? '').trim();
+
+    if (!text) {
+        return null;
+    }
+
+    const createdAt = Number(memory.createdAt) || Date.now();
+    const range = memory.sourceRange;
+    const hasRange = Number.isInteger(range?.start) && Number.isInteger(range?.end);
+
+    return {
+        id: typeof memory.id === 'string' && MEMORY_ID_PATTERN.test(memory.id.trim()) ? memory.id.trim() : null,
+        text,
+        category: memory.category in MEMORY_CATEGORIES ? memory.category : 'general',
+        createdAt,
+        updatedAt: Number(memory.updatedAt) || createdAt,
+        chatId: typeof memory.chatId === 'string' ? memory.chatId : null,
+        ...(typeof memory.sourceGroupId === 'string' && memory.sourceGroupId ? { sourceGroupId: memory.sourceGroupId } : {}),
+        sourceRange: hasRange ? { start: range.start, end: range.end } : null,
+        ...(memory.pinned ? { pinned: true } : {}),
+        ...(memory.stale ? { stale: true } : {}),
+        ...(typeof memory.supersededBy === 'string' && MEMORY_ID_PATTERN.test(memory.supersededBy) ? { supersededBy: memory.supersededBy, supersededAt: Number(memory.supersededAt) || createdAt } : {}),
+        ...(Array.isArray(memory.citations) ? { citations: memory.citations.map(Number).filter(Number.isInteger) } : {}),
+        ...(memory.verification && typeof memory.verification === 'object' ? { verification: memory.verification } : {}),
+    };
+}
+
+/**
+ * Read the memories of a Markdown export. Text, category, ID, date and pin are restored, the rest is only in the JSON export.
+ * @param {string} text - Markdown text
+ * @returns {{source: string|null, memories: object[]}} - Name in the title and the memories found
+ */
+function parseMarkdownExport(text) {
+    const categoriesByLabel = Object.fromEntries(Object.entries(MEMORY_CATEGORIES).map(([key, label]) => [label.toLowerCase(), key]));
+    const memories = [];
+    let source = null;
+    let category = 'general';
+
+    text.split('\n').forEach(line => {
+        const title = /^#\s+Memories of\s+(.+)$/.exec(line.trim());
+        const heading = /^##\s+(.+)$/.exec(line.trim());
+        const bullet = /^[-*•]\s+(.+)$/.exec(line.trim());
+        const details = /^\s+_(.+)_\s*$/.exec(line);
+
+        if (title) {
+            source = title[1].trim();
+        } else if (heading) {
+            category = categoriesByLabel[heading[1].trim().toLowerCase()] || 'general';
+        } else if (bullet) {
+            memories.push({ text: bullet[1], category });
+        } else if (details && memories.length > 0) {
+            const memory = memories[memories.length - 1];
+            const parts = details[1].split(DETAIL_SEPARATOR).map(part => part.trim());
+            const date = parts.map(parseDate).find(Boolean);
+
+            memory.id = parts[0];
+            memory.createdAt = date ? date.getTime() : undefined;
+            memory.pinned = parts.includes('pinned');
+        }
+    });
+
+    return { source, memories: memories.map(normalizeImportedMemory).filter(Boolean) };
+}
+
+/**
+ * Read the memories of a JSON or Markdown export. A plain JSON array of memories is accepted too.
+ * @param {string} text - Exported text
+ * @returns {{source: string|null, memories: object[]}} - Name of the character they were exported from, if known, and the memories
+ */
+export function parseMemoryExport(text) {
+    const trimmed = String(text ?? '').trim();
+
+    if (!trimmed) {
+        throw new Error('Nothing to import');
+    }
+
+    if (!/^[[{]/.test(trimmed)) {
+        return parseMarkdownExport(trimmed);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(trimmed);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const memories = Array.isArray(data) ? data : data?.memories;
+
+    if (!Array.isArray(memories)) {
+        throw new Error('The JSON has no memories');
+    }
+
+    if (!Array.isArray(data) && data.format !== undefined && data.format !== EXPORT_FORMAT) {
+        throw new Error(`Unknown export format "${data.format}"`);
+    }
+
+    if (!Array.isArray(data) && Number(data.version) > EXPORT_VERSION) {
+        throw new Error(`The export has version ${data.version}, this version of the extension reads up to ${EXPORT_VERSION}`);
+    }
+
+    return {
+        source: Array.isArray(data) ? null : data.source?.name || null,
+        memories: memories.map(normalizeImportedMemory).filter(Boolean),
+    };
+}
+
+/**
+ * Merge imported memories into a character or group. Near-duplicates of its memories, notes and persona are skipped.
+ * Imported IDs that are already taken get a new ID, and "superseded by" links follow the new IDs, or the memory a skipped duplicate matched.
+ * A snapshot is taken first, so the import can be undone.
+ * @param {string} owner - Character avatar or group memory key
+ * @param {{memories: object[]}} imported - Parsed export, see parseMemoryExport
+ * @param {object} options - Import options
+ * @param {number} options.threshold - Similarity from which an imported memory counts as a duplicate
+ * @returns {Promise<{added: number, duplicates: number, renamed: number}>} - Number of added, skipped and renamed memories
+ */
+export async function importMemories(owner, imported, { threshold }) {
+    const store = getMemoryStore(owner);
+
+    if (!store) {
+        throw new Error(`Memory owner ${owner} not found`);
+    }
+
+    const { newItems, duplicates } = isNewInformation(imported.memories, owner, getPersonaDescription(), threshold);
+    const usedIds = new Set(store.memories.map(memory => memory.id));
+    const idMap = new Map();
+
+    // Duplicates are reported in import order, like the memories they came from
+    imported.memories
+        .filter(memory => !newItems.includes(memory))
+        .forEach((memory, index) => {
+            if (memory.id && duplicates[index]?.matchedId) {
+                idMap.set(memory.id, duplicates[index].matchedId);
+            }
+        });
+
+    let renamed = 0;
+    const records = newItems.map(memory => {
+        let id = memory.id;
+
+        if (!id || usedIds.has(id)) {
+            renamed += id ? 1 : 0;
+
+            id = generateMemoryId(usedIds);
+        }
+
+        usedIds.add(id);
+
+        if (memory.id) {
+            idMap.set(memory.id, id);
+        }
+
+        return { ...memory, id, characterAvatar: owner };
+    });
+
+    records
+        .filter(record => record.supersededBy)
+        .forEach(record => {
+            if (idMap.has(record.supersededBy)) {
+                record.supersededBy = idMap.get(record.supersededBy);
+            } else {
+                delete record.supersededBy;
+                delete record.supersededAt;
+            }
+        });
+
+    if (records.length > 0) {
+        snapshotMemoryStore(owner, 'import');
+        store.memories.push(...records);
+        store.memories.sort((a, b) => a.createdAt - b.createdAt);
+        await commitMemories(owner);
+    }
+
+    console.log(`Memory Manager: Imported ${records.length} memories into ${owner}, skipped ${duplicates.length} duplicates, renamed ${renamed}`);
+    return { added: records.length, duplicates: duplicates.length, renamed };
+}
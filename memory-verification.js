@@ -0,0 +1,183 @@
+/**
+ * Memory Verification Module
+ * Checks candidate memories against the messages they cite, to catch events the model made up
+ */
+
+import { extractJson } from './structured-output.js';
+import { generateText } from './summarization-service.js';
+import { tokenize } from './similarity.js';
+
+// Share of a memory's words that must appear in its cited messages to count as supported without the model
+const SUPPORTED_OVERLAP = 0.5;
+
+// Cited message IDs in a memory, like [#12] or [#12, #15]
+const CITATION_GROUP = /\s*\[#\d+(?:\s*[,;]\s*#?\d+)*\]/g;
+
+/**
+ * Instruction appended to the summarization prompt when memories are verified
+ */
+export const CITATION_INSTRUCTION = 'Every message of the transcript starts with its ID, like [#12]. End every memory with the IDs of the messages it is based on, like [#12] or [#12, #15]. Only report what those messages actually say.';
+
+const VERIFY_PROMPT = `You check memories taken from a story transcript. For each memory, decide whether the messages it cites state it or clearly imply it. A memory that adds events, names or details not found in its messages is not supported.
+Respond only with a JSON object, without any text around it, in this shape:
+{"verdicts": [{"memory": <number of the memory>, "supported": true, "reason": "short reason"}]}`;
+
+/**
+ * @typedef {object} Verification
+ * @property {'supported'|'unsupported'} status - Whether the cited messages back the memory
+ * @property {'model'|'heuristic'|'citation'} method - How it was decided, citation if nothing was cited
+ * @property {string} reason - Why
+ * @property {number} checkedAt - Check time in milliseconds
+ */
+
+/**
+ * Take the cited message IDs out of the text of memory items
+ * @param {import('./memory-manager.js').MemoryItem[]} items - Memory items from the summary
+ * @param {{start: number, end: number}} range - Summarized message range, IDs outside it are ignored
+ * @returns {import('./memory-manager.js').MemoryItem[]} - Items without the ID tags, with their citations
+ */
+export function extractCitations(items, range) {
+    return items.map(item => {
+        const groups = item.text.match(CITATION_GROUP) || [];
+        const citations = [...new Set(groups.flatMap(group => group.match(/\d+/g).map(Number)))]
+            .filter(id => id >= range.start && id <= range.end)
+            .sort((a, b) => a - b);
+
+        return { ...item, text: item.text.replace(CITATION_GROUP, '').trim(), citations };
+    });
+}
+
+/**
+ * Format a message with its ID, as in the summarized transcript
+ * @param {object[]} chat - Chat messages
+ * @param {number} id - Message index
+ * @returns {string} - Transcript line
+ */
+function formatCitedMessage(chat, id) {
+    return `[#${id}] ${chat[id].name}: ${chat[id].mes}`;
+}
+
+/**
+ * Check memories with word overlap: a memory is supported if most of its words appear in the messages it cites
+ * @param {import('./memory-manager.js').MemoryItem} item - Memory item with citations
+ * @param {object[]} chat - Chat messages
+ * @returns {Verification} - Verdict
+ */
+function verifyWithOverlap(item, chat) {
+    const sourceTokens = new Set(item.citations.flatMap(id => tokenize(`${chat[id].name} ${chat[id].mes}`)));
+    const tokens = [...new Set(tokenize(item.text))];
+    const overlap = tokens.length > 0 ? tokens.filter(token => sourceTokens.has(token)).length / tokens.length : 0;
+
+    return {
+        status: overlap >= SUPPORTED_OVERLAP ? 'supported' : 'unsupported',
+        method: 'heuristic',
+        reason: `${Math.round(overlap * 100)}% of its words appear in the cited messages`,
+        checkedAt: Date.now(),
+    };
+}
+
+/**
+ * Ask the summarization model whether the cited messages support each memory
+ * @param {import('./memory-manager.js').MemoryItem[]} items - Memory items with citations
+ * @param {object[]} chat - Chat messages
+ * @param {import('./model-providers.js').ModelOptions} modelOptions - Which model to use and how
+ * @returns {Promise<Map<number, Verification>>} - Verdicts by item index, items the model skipped are missing
+ */
+async function verifyWithModel(items, chat, modelOptions) {
+    const citedIds = [...new Set(items.flatMap(item => item.citations))].sort((a, b) => a - b);
+    const userMessage = [
+        'Messages:',
+        ...citedIds.map(id => formatCitedMessage(chat, id)),
+        '',
+        'Memories:',
+        ...items.map((item, index) => `${index + 1}. ${item.text} (cites ${item.citations.map(id => `#${id}`).join(', ')})`),
+    ].join('\n');
+
+    const data = extractJson(await generateText(VERIFY_PROMPT, userMessage, modelOptions));
+
+    if (!data || !Array.isArray(data.verdicts)) {
+        throw new Error('The verification returned no valid JSON');
+    }
+
+    const verdicts = new Map();
+    data.verdicts.forEach(verdict => {
+        const index = Number(verdict?.memory) - 1;
+
+        if (items[index] && typeof verdict.supported === 'boolean') {
+            verdicts.set(index, {
+                status: verdict.supported ? 'supported' : 'unsupported',
+                method: 'model',
+                reason: String(verdict.reason ?? '').trim(),
+                checkedAt: Date.now(),
+            });
+        }
+    });
+
+    return verdicts;
+}
+
+/**
+ * Check memory items against the messages they cite. Items citing nothing are unsupported.
+ * The summarization model judges the others, word overlap is used if it fails or skips an item.
+ * @param {import('./memory-manager.js').MemoryItem[]} items - Memory items with citations
+ * @param {object[]} chat - Messages of the current chat
+ * @param {object} options - Check options
+ * @param {'flag'|'drop'} options.mode - Keep unsupported items with their verdict, or drop them
+ * @param {import('./model-providers.js').ModelOptions} [options.modelOptions] - Which model to use and how
+ * @returns {Promise<{items: import('./memory-manager.js').MemoryItem[], rejected: import('./memory-manager.js').MemoryItem[]}>} - Items to keep and dropped items, each with its verdict
+ */
+export async function verifyMemoryItems(items, chat, { mode, modelOptions = {} }) {
+    const candidates = items.map(item => ({ ...item, citations: (item.citations || []).filter(id => chat[id]) }));
+    const citedIndexes = candidates.map((item, index) => item.citations.length > 0 ? index : -1).filter(index => index !== -1);
+    const cited = citedIndexes.map(index => candidates[index]);
+    let verdicts = new Map();
+
+    if (cited.length > 0) {
+        try {
+            verdicts = await verifyWithModel(cited, chat, modelOptions);
+        } catch (error) {
+            if (modelOptions.signal?.aborted) {
+                throw error;
+            }
+
+            console.warn('Memory Manager: Verification with the model failed, using word overlap instead', error);
+        }
+    }
+
+    const checked = candidates.map((item, index) => {
+        const position = citedIndexes.indexOf(index);
+
+        if (position === -1) {
+            return { ...item, verification: { status: 'unsupported', method: 'citation', reason: 'Cites no message of the summarized range', checkedAt: Date.now() } };
+        }
+
+        return { ...item, verification: verdicts.get(position) || verifyWithOverlap(item, chat) };
+    });
+
+    checked
+        .filter(item => item.verification.status === 'unsupported')
+        .forEach(item => console.log(`Memory Manager: Unsupported memory "${item.text}" (${item.verification.reason})`));
+
+    return mode === 'drop'
+        ? { items: checked.filter(item => item.verification.status === 'supported'), rejected: checked.filter(item => item.verification.status !== 'supported') }
+        : { items: checked, rejected: [] };
+}
+
+/**
+ * Describe the citations and verification result of a memory for display
+ * @param {{citations?: number[], verification?: Verification}} memory - Memory record or item
+ * @returns {string} - Description such as "cites #12, #15, unsupported: reason", empty if there is nothing to show
+ */
+export function describeSources(memory) {
+    const parts = [];
+
+    if (memory.citations?.length > 0) {
+        parts.push(`cites ${memory.citations.map(id => `#${id}`).join(', ')}`);
+    }
+
+    if (memory.verification?.status === 'unsupported') {
+        parts.push(`unsupported${memory.verification.reason ? `: ${memory.verification.reason}` : ''}`);
+    }
+
+    return parts.join(', ');
+}
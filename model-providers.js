@@ -0,0 +1,250 @@
+/**
+ * Model Providers Module
+ * Request and response adapters for the external summarization model APIs
+ */
+
+/**
+ * @typedef {object} ModelOptions
+ * @property {boolean} useSeparateModel - Whether to use an external model instead of the current one
+ * @property {string} provider - Provider key, see PROVIDERS
+ * @property {string} endpoint - API endpoint URL
+ * @property {string} apiKey - API key, empty if the endpoint needs none
+ * @property {string} model - Model name, empty for the provider default
+ * @property {number} maxTokens - Maximum response length in tokens
+ * @property {number} temperature - Sampling temperature
+ * @property {number} topP - Nucleus sampling probability
+ * @property {number} timeout - Request timeout in seconds
+ * @property {number} retries - Number of retries after a failed request
+ * @property {number} [chunkTokens] - Transcript tokens per summarization request, 0 for no limit
+ * @property {AbortSignal} [signal] - Aborts the request, e.g. when its job is cancelled
+ */
+
+/**
+ * Build a plain text prompt for completion endpoints without chat formatting
+ * @param {string} systemMessage - Instruction
+ * @param {string} userMessage - Input text
+ * @returns {string} - Prompt
+ */
+function buildTextPrompt(systemMessage, userMessage) {
+    return `${systemMessage}\n\n${userMessage}\n\nResponse:\n`;
+}
+
+/**
+ * Provider adapters. Each one turns an instruction and its input into a request
+ * and extracts the generated text from the response.
+ */
+export const PROVIDERS = {
+    openai: {
+        label: 'OpenAI-compatible (chat completions)',
+        placeholder: 'https://api.openai.com/v1/chat/completions',
+        defaultModel: 'gpt-3.5-turbo',
+        buildRequest(systemMessage, userMessage, options) {
+            return {
+                headers: options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {},
+                body: {
+                    model: options.model || this.defaultModel,
+                    messages: [
+                        { role: 'system', content: systemMessage },
+                        { role: 'user', content: userMessage },
+                    ],
+                    max_tokens: options.maxTokens,
+                    temperature: options.temperature,
+                    top_p: options.topP,
+                },
+            };
+        },
+        parseResponse(data) {
+            const choice = data?.choices?.[0];
+            return choice?.message?.content ?? choice?.text;
+        },
+    },
+    anthropic: {
+        label: 'Anthropic Messages',
+        placeholder: 'https://api.anthropic.com/v1/messages',
+        defaultModel: 'claude-3-5-haiku-latest',
+        buildRequest(systemMessage, userMessage, options) {
+            return {
+                headers: {
+                    ...(options.apiKey ? { 'x-api-key': options.apiKey } : {}),
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true',
+                },
+                body: {
+                    model: options.model || this.defaultModel,
+                    system: systemMessage,
+                    messages: [{ role: 'user', content: userMessage }],
+                    max_tokens: options.maxTokens,
+                    temperature: options.temperature,
+                    top_p: options.topP,
+                },
+            };
+        },
+        parseResponse(data) {
+            if (!Array.isArray(data?.content)) {
+                return undefined;
+            }
+            return data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+        },
+    },
+    ollama: {
+        label: 'Ollama',
+        placeholder: 'http://localhost:11434/api/chat',
+        defaultModel: 'llama3',
+        buildRequest(systemMessage, userMessage, options) {
+            return {
+                headers: {},
+                body: {
+                    model: options.model || this.defaultModel,
+                    messages: [
+                        { role: 'system', content: systemMessage },
+                        { role: 'user', content: userMessage },
+                    ],
+                    stream: false,
+                    options: {
+                        num_predict: options.maxTokens,
+                        temperature: options.temperature,
+                        top_p: options.topP,
+                    },
+                },
+            };
+        },
+        parseResponse(data) {
+            return data?.message?.content ?? data?.response;
+        },
+    },
+    koboldcpp: {
+        label: 'KoboldCpp / text completion',
+        placeholder: 'http://localhost:5001/api/v1/generate',
+        defaultModel: '',
+        buildRequest(systemMessage, userMessage, options) {
+            return {
+                headers: options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {},
+                body: {
+                    prompt: buildTextPrompt(systemMessage, userMessage),
+                    max_length: options.maxTokens,
+                    temperature: options.temperature,
+                    top_p: options.topP,
+                },
+            };
+        },
+        parseResponse(data) {
+            return data?.results?.[0]?.text;
+        },
+    },
+    llamacpp: {
+        label: 'llama.cpp server',
+        placeholder: 'http://localhost:8080/completion',
+        defaultModel: '',
+        buildRequest(systemMessage, userMessage, options) {
+            return {
+                headers: options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {},
+                body: {
+                    prompt: buildTextPrompt(systemMessage, userMessage),
+                    n_predict: options.maxTokens,
+                    temperature: options.temperature,
+                    top_p: options.topP,
+                    stream: false,
+                },
+            };
+        },
+        parseResponse(data) {
+            return data?.content;
+        },
+    },
+};
+
+/**
+ * Wait before the next retry
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {number} status - HTTP status, 0 for network errors and timeouts
+ * @returns {boolean} - Whether to retry
+ */
+function isRetryable(status) {
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Send an instruction and its input to an external model.
+ * Failed requests are retried with exponential backoff; each attempt is limited by the timeout.
+ * @param {string} systemMessage - Instruction for the model
+ * @param {string} userMessage - Input text
+ * @param {ModelOptions} options - Provider options
+ * @returns {Promise<string>} - Generated text
+ */
+export async function callProvider(systemMessage, userMessage, options) {
+    const provider = PROVIDERS[options.provider];
+
+    if (!provider) {
+        throw new Error(`Unknown model provider: ${options.provider}`);
+    }
+
+    const { headers, body } = provider.buildRequest(systemMessage, userMessage, options);
+    const attempts = Math.max(0, Number(options.retries) || 0) + 1;
+    let lastError;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (attempt > 0) {
+            await delay(1000 * 2 ** (attempt - 1));
+        }
+
+        options.signal?.throwIfAborted();
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), Math.max(1, Number(options.timeout) || 60) * 1000);
+        const abortRequest = () => controller.abort();
+        options.signal?.addEventListener('abort', abortRequest);
+        let status = 0;
+
+        try {
+            const response = await fetch(options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal,
+            });
+            status = response.status;
+
+            if (!response.ok) {
+                throw new Error(`API error: ${response.status} ${response.statusText}`);
+            }
+
+            const text = provider.parseResponse(await response.json());
+
+            if (typeof text !== 'string') {
+                // A malformed response won't get better by asking again
+                status = -1;
+                throw new Error('Unexpected API response format');
+            }
+
+            return text;
+        } catch (error) {
+            // Cancelled requests are not retried
+            if (options.signal?.aborted) {
+                throw options.signal.reason;
+            }
+
+            lastError = error.name === 'AbortError'
+                ? new Error(`Request timed out after ${options.timeout} seconds`)
+                : error;
+
+            if (!isRetryable(status) || attempt === attempts - 1) {
+                break;
+            }
+
+            console.warn(`Memory Manager: ${provider.label} request failed (attempt ${attempt + 1}/${attempts})`, lastError);
+        } finally {
+            clearTimeout(timeoutId);
+            options.signal?.removeEventListener('abort', abortRequest);
+        }
+    }
+
+    throw lastError;
+}
@@ -0,0 +1,72 @@
+/**
+ * Persona Memories Module
+ * Sorts out facts about the user and keeps them in a managed section of the persona description
+ */
+
+import { saveSettingsDebounced } from '../../../../script.js';
+import { power_user } from '../../../power-user.js';
+import { user_avatar } from '../../../personas.js';
+
+// Memory owner used for facts written to the active persona
+export const PERSONA_OWNER = 'persona';
+
+const PERSONA_SECTION_HEADER = '--- Memory Manager: User Facts ---';
+
+// Verbs that introduce a fact about the subject of a sentence
+const FACT_VERBS = 'is|was|has|had|likes?|loves?|hates?|dislikes?|works?|worked|lives?|lived|prefers?|fears?|enjoys?|owns?|grew|comes?|came|can|cannot|can\'t|does|doesn\'t|never|always|used to|wants?|needs?';
+
+/**
+ * Mark plain memory items that state a fact about the user as user facts
+ * @param {import('./memory-manager.js').MemoryItem[]} items - Memory items
+ * @param {string} userName - Name of the user
+ * @returns {import('./memory-manager.js').MemoryItem[]} - Items, with user facts in the 'user' category
+ */
+export function classifyUserFacts(items, userName) {
+    if (!userName) {
+        return items;
+    }
+
+    const escaped = userName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const userFactPattern = new RegExp(`^(${escaped}|{{user}})('s\\s+\\S+)?\\s+(${FACT_VERBS})\\b`, 'i');
+
+    return items.map(item => item.category === 'general' && userFactPattern.test(item.text)
+        ? { ...item, category: 'user' }
+        : item);
+}
+
+/**
+ * Get the description of the active persona
+ * @returns {string} - Persona description
+ */
+export function getPersonaDescription() {
+    return power_user.persona_description || '';
+}
+
+/**
+ * Append facts to the managed section at the end of the active persona description
+ * @param {import('./memory-manager.js').MemoryItem[]} facts - Facts about the user
+ * @returns {number} - Number of facts written
+ */
+export function appendPersonaFacts(facts) {
+    if (facts.length === 0) {
+        return 0;
+    }
+
+    const description = getPersonaDescription();
+    const headerIndex = description.indexOf(PERSONA_SECTION_HEADER);
+    const ownText = headerIndex === -1 ? description : description.slice(0, headerIndex);
+    const sectionText = headerIndex === -1 ? PERSONA_SECTION_HEADER : description.slice(headerIndex).trimEnd();
+    const bullets = facts.map(fact => `• ${fact.text.replace(/\.$/, '')}.`).join('\n');
+    const updated = `${ownText.trimEnd()}\n\n${sectionText}\n${bullets}`.trimStart();
+
+    power_user.persona_description = updated;
+
+    if (user_avatar && power_user.persona_descriptions?.[user_avatar]) {
+        power_user.persona_descriptions[user_avatar].description = updated;
+    }
+
+    $('#persona_description').val(updated);
+    saveSettingsDebounced();
+
+    return facts.length;
+}
@@ -0,0 +1,320 @@
+/**
+ * Relationship Tracker Module
+ * Keeps a structured relationship state for each character and the people they meet
+ */
+
+import { getMemoryStore, saveMemoryStore, getOwnerName } from './memory-store.js';
+import { mentionsName } from './group-memories.js';
+import { extractJson } from './structured-output.js';
+import { generateText } from './summarization-service.js';
+import { escapeHtml } from './script.js';
+
+// Range of the affinity and trust scores
+const SCORE_MIN = -10;
+const SCORE_MAX = 10;
+
+// Most shared events kept per relationship
+const MAX_EVENTS = 10;
+
+const RELATIONSHIP_PROMPT = `You track the relationships between the characters of a story. Given the current relationship states and a summary of what happened since, return the new state of every relationship that changed.
+Scores go from ${SCORE_MIN} (hostile, no trust at all) to ${SCORE_MAX} (devoted, complete trust).
+Respond only with a JSON object, without any text around it, in this shape:
+{"relationships": [{"from": "name", "to": "name", "status": "short label such as friends, rivals or dating", "affinity": 0, "trust": 0, "events": ["new key events they shared"], "promises": ["every promise still open between them"]}]}
+Use an empty array if no relationship changed.`;
+
+let panelOwners = [];
+let panelOwner = null;
+
+/**
+ * @typedef {object} Relationship
+ * @property {string} name - Name of the other person
+ * @property {string} status - Short label, such as friends or rivals
+ * @property {number} affinity - How much the character likes them, from -10 to 10
+ * @property {number} trust - How much the character trusts them, from -10 to 10
+ * @property {string[]} events - Key events they shared, oldest first
+ * @property {string[]} promises - Promises still open between them
+ * @property {number} updatedAt - Last change time in milliseconds
+ */
+
+/**
+ * Get the relationships of a character, creating the map on first use
+ * @param {string} owner - Character avatar
+ * @returns {Object<string, Relationship>} - The live relationships keyed by the other person's name
+ */
+export function getRelationships(owner) {
+    const store = getMemoryStore(owner);
+
+    if (!store) {
+        return {};
+    }
+
+    if (!store.relationships || typeof store.relationships !== 'object') {
+        store.relationships = {};
+    }
+
+    return store.relationships;
+}
+
+/**
+ * Limit a score to the allowed range
+ * @param {*} value - Score
+ * @param {number} fallback - Score to use if the value is not a number
+ * @returns {number} - Score
+ */
+function clampScore(value, fallback) {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.min(SCORE_MAX, Math.max(SCORE_MIN, number)) : fallback;
+}
+
+/**
+ * Turn a list given as an array or as lines of text into a clean array
+ * @param {string[]|string} value - List
+ * @returns {string[]} - Non-empty trimmed entries
+ */
+function toList(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split('\n');
+    return list.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Create or change the relationship of a character with someone
+ * @param {string} owner - Character avatar
+ * @param {string} name - Name of the other person
+ * @param {Partial<Relationship>} changes - Fields to change, events are replaced as given
+ * @returns {Relationship|null} - Updated relationship, null if the character is not found
+ */
+export function setRelationship(owner, name, changes) {
+    const relationships = getRelationships(owner);
+    const trimmedName = String(name).trim();
+
+    if (!getMemoryStore(owner) || !trimmedName) {
+        return null;
+    }
+
+    const current = relationships[trimmedName] || { name: trimmedName, status: 'acquaintances', affinity: 0, trust: 0, events: [], promises: [] };
+    relationships[trimmedName] = {
+        ...current,
+        status: changes.status !== undefined ? String(changes.status).trim() : current.status,
+        affinity: clampScore(changes.affinity, current.affinity),
+        trust: clampScore(changes.trust, current.trust),
+        events: changes.events !== undefined ? toList(changes.events).slice(-MAX_EVENTS) : current.events,
+        promises: changes.promises !== undefined ? toList(changes.promises) : current.promises,
+        updatedAt: Date.now(),
+    };
+
+    return relationships[trimmedName];
+}
+
+/**
+ * Remove the relationship of a character with someone
+ * @param {string} owner - Character avatar
+ * @param {string} name - Name of the other person
+ */
+export function removeRelationship(owner, name) {
+    delete getRelationships(owner)[name];
+}
+
+/**
+ * Find the tracked character and relationship key a name refers to
+ * @param {{avatar: string, name: string}[]} characters - Tracked characters
+ * @param {string} name - Name given by the model
+ * @returns {{avatar: string, name: string}|undefined} - Matching character
+ */
+function findByName(characters, name) {
+    const wanted = String(name ?? '').trim().toLowerCase();
+    return characters.find(character => character.name.toLowerCase() === wanted);
+}
+
+/**
+ * Update the relationships of the characters in a summary, with the summarization model.
+ * If the model fails, relationship and promise items are added to the people they mention instead.
+ * @param {{avatar: string, name: string}[]} characters - Characters whose relationships are tracked
+ * @param {string[]} otherNames - Everyone else they can have relationships with, such as the user
+ * @param {string} summary - Summary of what happened
+ * @param {import('./memory-manager.js').MemoryItem[]} items - Memory items taken from the summary
+ * @param {import('./model-providers.js').ModelOptions} modelOptions - Which model to use and how
+ * @returns {Promise<number>} - Number of relationships updated
+ */
+export async function updateRelationshipsFromSummary(characters, otherNames, summary, items, modelOptions) {
+    const people = [...characters.map(character => character.name), ...otherNames];
+    const changedOwners = new Set();
+    let updated = 0;
+
+    try {
+        const currentStates = characters.flatMap(character => Object.values(getRelationships(character.avatar))
+            .map(({ name, status, affinity, trust, promises }) => ({ from: character.name, to: name, status, affinity, trust, promises })));
+        const userMessage = [
+            `Characters: ${people.join(', ')}`,
+            `Current states: ${JSON.stringify(currentStates)}`,
+            `Summary:\n${summary}`,
+        ].join('\n\n');
+
+        const data = extractJson(await generateText(RELATIONSHIP_PROMPT, userMessage, modelOptions));
+
+        if (!data || !Array.isArray(data.relationships)) {
+            throw new Error('The relationship update returned no valid JSON');
+        }
+
+        data.relationships.forEach(entry => {
+            const character = findByName(characters, entry?.from);
+            const otherName = people.find(person => person.toLowerCase() === String(entry?.to ?? '').trim().toLowerCase());
+
+            if (!character || !otherName || otherName === character.name) {
+                return;
+            }
+
+            const current = getRelationships(character.avatar)[otherName];
+            setRelationship(character.avatar, otherName, {
+                status: entry.status ?? current?.status,
+                affinity: entry.affinity,
+                trust: entry.trust,
+                events: [...(current?.events || []), ...toList(entry.events)],
+                promises: entry.promises !== undefined ? entry.promises : current?.promises,
+            });
+            changedOwners.add(character.avatar);
+            updated++;
+        });
+    } catch (error) {
+        if (modelOptions.signal?.aborted) {
+            throw error;
+        }
+
+        console.warn('Memory Manager: Relationship update with the model failed, using memory categories instead', error);
+
+        items
+            .filter(item => item.category === 'relationships' || item.category === 'promises')
+            .forEach(item => {
+                characters.filter(character => mentionsName(item.text, character.name)).forEach(character => {
+                    people
+                        .filter(person => person !== character.name && mentionsName(item.text, person))
+                        .forEach(person => {
+                            const current = getRelationships(character.avatar)[person];
+                            const field = item.category === 'promises' ? 'promises' : 'events';
+                            setRelationship(character.avatar, person, { [field]: [...(current?.[field] || []), item.text] });
+                            changedOwners.add(character.avatar);
+                            updated++;
+                        });
+                });
+            });
+    }
+
+    for (const owner of changedOwners) {
+        await saveMemoryStore(owner);
+    }
+
+    refreshRelationshipPanel();
+    return updated;
+}
+
+/**
+ * Render the relationships of some characters as a compact block for the prompt
+ * @param {string[]} owners - Character avatars
+ * @returns {string} - Relationship block, empty if there are none
+ */
+export function renderRelationshipBlock(owners) {
+    const lines = owners.flatMap(owner => Object.values(getRelationships(owner)).map(relationship => {
+        const promises = relationship.promises.length > 0 ? ` Open promises: ${relationship.promises.join('; ')}.` : '';
+        return `${getOwnerName(owner)} → ${relationship.name}: ${relationship.status}, affinity ${relationship.affinity}, trust ${relationship.trust}.${promises}`;
+    }));
+
+    return lines.length > 0 ? `[Relationships]\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Show the relationships of the characters in the current chat in the settings panel
+ * @param {string[]} [owners] - Character avatars, keeps the previous ones if not given
+ */
+export function refreshRelationshipPanel(owners) {
+    if (owners) {
+        panelOwners = owners;
+    }
+
+    if (!panelOwners.includes(panelOwner)) {
+        panelOwner = panelOwners[0] || null;
+    }
+
+    const select = $('#memory-manager-relationship-owner');
+    const list = $('#memory-manager-relationship-list');
+
+    select.html(panelOwners.map(owner => `<option value="${escapeHtml(owner)}" ${owner === panelOwner ? 'selected' : ''}>${escapeHtml(getOwnerName(owner))}</option>`).join(''));
+
+    if (!panelOwner) {
+        list.html('<div class="memory-manager-hint">Open a chat to see the relationships of its characters.</div>');
+        return;
+    }
+
+    const relationships = Object.values(getRelationships(panelOwner));
+
+    if (relationships.length === 0) {
+        list.html('<div class="memory-manager-hint">No relationships tracked yet.</div>');
+        return;
+    }
+
+    list.html(relationships.map(relationship => `
+        <div class="memory-manager-relationship" data-name="${escapeHtml(relationship.name)}">
+            <div class="memory-manager-relationship-header">
+                <b>${escapeHtml(relationship.name)}</b>
+                <input class="menu_button memory-manager-relationship-remove" type="button" value="Remove" />
+            </div>
+            <label>Status:</label>
+            <input data-field="status" type="text" value="${escapeHtml(relationship.status)}" />
+            <label>Affinity (${SCORE_MIN} to ${SCORE_MAX}):</label>
+            <input data-field="affinity" type="number" min="${SCORE_MIN}" max="${SCORE_MAX}" value="${relationship.affinity}" />
+            <label>Trust (${SCORE_MIN} to ${SCORE_MAX}):</label>
+            <input data-field="trust" type="number" min="${SCORE_MIN}" max="${SCORE_MAX}" value="${relationship.trust}" />
+            <label>Key shared events, one per line:</label>
+            <textarea data-field="events" rows="3">${escapeHtml(relationship.events.join('\n'))}</textarea>
+            <label>Open promises, one per line:</label>
+            <textarea data-field="promises" rows="2">${escapeHtml(relationship.promises.join('\n'))}</textarea>
+        </div>`).join(''));
+}
+
+/**
+ * Save a change made in the relationship panel, reporting a failed save
+ * @param {string} owner - Character avatar
+ */
+async function savePanelChange(owner) {
+    try {
+        await saveMemoryStore(owner);
+    } catch (error) {
+        console.error('Memory Manager: Error saving the relationships', error);
+        toastr.error(error.message, 'Could not save the relationships');
+    }
+}
+
+// Relationship panel handlers
+$(document).on('change', '#memory-manager-relationship-owner', function() {
+    panelOwner = String($(this).val());
+    refreshRelationshipPanel();
+});
+
+$(document).on('change', '.memory-manager-relationship [data-field]', async function() {
+    const name = $(this).closest('.memory-manager-relationship').data('name');
+    const field = $(this).data('field');
+
+    if (panelOwner && setRelationship(panelOwner, String(name), { [field]: $(this).val() })) {
+        // Show what was stored, an empty or out of range score keeps or clamps the value
+        refreshRelationshipPanel();
+        await savePanelChange(panelOwner);
+    }
+});
+
+$(document).on('click', '.memory-manager-relationship-remove', async function() {
+    const name = $(this).closest('.memory-manager-relationship').data('name');
+
+    if (panelOwner) {
+        removeRelationship(panelOwner, String(name));
+        refreshRelationshipPanel();
+        await savePanelChange(panelOwner);
+    }
+});
+
+$(document).on('click', '#memory-manager-relationship-add', async function() {
+    const name = String($('#memory-manager-relationship-name').val()).trim();
+
+    if (panelOwner && name && setRelationship(panelOwner, name, {})) {
+        $('#memory-manager-relationship-name').val('');
+        refreshRelationshipPanel();
+        await savePanelChange(panelOwner);
+    }
+});
@@ -0,0 +1,201 @@
+/**
+ * Review Queue Module
+ * Holds candidate memories until the user accepts, edits or rejects them
+ */
+
+import { callPopup } from '../../../../script.js';
+import { getChatState, saveChatState } from './chat-state.js';
+import { updateCharacterNotes, toMemoryItems } from './memory-manager.js';
+import { MEMORY_CATEGORIES } from './memory-store.js';
+import { describeSources } from './memory-verification.js';
+import { PERSONA_OWNER, appendPersonaFacts } from './persona-memories.js';
+import { generateMemoryId, escapeHtml } from './script.js';
+
+let reviewPopupOpen = false;
+
+/**
+ * Get the candidate memories waiting for review in the current chat
+ * @returns {object[]} - The live queue stored in the chat metadata
+ */
+export function getPendingMemories() {
+    const state = getChatState();
+
+    if (!Array.isArray(state.pendingMemories)) {
+        state.pendingMemories = [];
+    }
+
+    return state.pendingMemories;
+}
+
+/**
+ * Add candidate memories to the review queue of the current chat
+ * @param {(string|import('./memory-manager.js').MemoryItem)[]} items - Candidate memory items
+ * @param {object} details - Where the candidates came from
+ * @param {string} details.characterAvatar - Avatar of the character the memories belong to, or PERSONA_OWNER
+ * @param {string|null} details.chatId - Source chat ID
+ * @param {string|null} [details.sourceGroupId] - Group the source chat belongs to
+ * @param {{start: number, end: number}|null} details.sourceRange - Source message range
+ */
+export function queueCandidateMemories(items, { characterAvatar, chatId, sourceGroupId = null, sourceRange }) {
+    const queue = getPendingMemories();
+    const queuedAt = Date.now();
+
+    toMemoryItems(items).forEach(({ text, category, citations, verification }) => {
+        queue.push({ id: generateMemoryId(new Set(queue.map(item => item.id))), text, category, characterAvatar, chatId, sourceGroupId, sourceRange, citations, verification, queuedAt });
+    });
+
+    saveChatState();
+    refreshReviewList();
+}
+
+/**
+ * Accept a queued memory and write it to its character, or to the persona for user facts
+ * @param {string} id - Queue item ID
+ * @returns {Promise<boolean>} - Whether the memory was written
+ */
+export async function acceptPendingMemory(id) {
+    const queue = getPendingMemories();
+    const item = queue.find(entry => entry.id === id);
+
+    if (!item) {
+        return false;
+    }
+
+    const memoryItem = { text: item.text, category: item.category || 'general', citations: item.citations, verification: item.verification };
+    const saved = item.characterAvatar === PERSONA_OWNER
+        ? appendPersonaFacts([memoryItem]) > 0
+        : await updateCharacterNotes(item.characterAvatar, [memoryItem], {
+            chatId: item.chatId,
+            sourceGroupId: item.sourceGroupId,
+            sourceRange: item.sourceRange,
+        });
+
+    if (saved) {
+        removePendingMemory(id);
+    }
+
+    return saved;
+}
+
+/**
+ * Remove a memory from the review queue without writing it
+ * @param {string} id - Queue item ID
+ */
+export function removePendingMemory(id) {
+    const queue = getPendingMemories();
+    const index = queue.findIndex(entry => entry.id === id);
+
+    if (index !== -1) {
+        queue.splice(index, 1);
+        saveChatState();
+    }
+}
+
+/**
+ * Show the review popup for the queue of the current chat.
+ * Items left in the popup when it's closed stay in the queue.
+ * @returns {Promise<void>}
+ */
+export async function showReviewPopup() {
+    if (reviewPopupOpen) {
+        refreshReviewList();
+        return;
+    }
+
+    reviewPopupOpen = true;
+
+    try {
+        const popupHtml = `
+        <div id="memory-manager-review">
+            <h3>Review new memories</h3>
+            <div class="memory-manager-hint">Edit a memory in place before accepting it. Closing this window keeps the remaining memories in the queue.</div>
+            <div id="memory-manager-review-list"></div>
+            <div class="memory-manager-review-actions">
+                <input id="memory-manager-review-accept-all" class="menu_button" type="button" value="Accept all" />
+                <input id="memory-manager-review-reject-all" class="menu_button" type="button" value="Reject all" />
+            </div>
+        </div>`;
+
+        const popup = callPopup(popupHtml, 'text', '', { wide: true, okButton: 'Close' });
+        refreshReviewList();
+        await popup;
+    } finally {
+        reviewPopupOpen = false;
+    }
+}
+
+/**
+ * Render the queue into the open review popup
+ */
+function refreshReviewList() {
+    const list = $('#memory-manager-review-list');
+
+    if (!list.length) {
+        return;
+    }
+
+    const queue = getPendingMemories();
+
+    if (queue.length === 0) {
+        list.html('<div class="memory-manager-hint">No memories waiting for review.</div>');
+        return;
+    }
+
+    list.html(queue.map(item => `
+        <div class="memory-manager-review-item ${item.verification?.status === 'unsupported' ? 'memory-manager-unsupported' : ''}" data-id="${item.id}">
+            <span class="memory-manager-category">${escapeHtml(MEMORY_CATEGORIES[item.category] || item.category || MEMORY_CATEGORIES.general)}</span>
+            <span class="memory-manager-sources">${escapeHtml(describeSources(item))}</span>
+            <textarea class="memory-manager-review-text" rows="2">${escapeHtml(item.text)}</textarea>
+            <div class="memory-manager-review-item-actions">
+                <input class="menu_button memory-manager-review-accept" type="button" value="Accept" />
+                <input class="menu_button memory-manager-review-reject" type="button" value="Reject" />
+            </div>
+        </div>`).join(''));
+}
+
+// Review popup handlers
+$(document).on('input', '.memory-manager-review-text', function() {
+    const id = $(this).closest('.memory-manager-review-item').data('id');
+    const item = getPendingMemories().find(entry => entry.id === id);
+
+    if (item) {
+        item.text = String($(this).val());
+        saveChatState();
+    }
+});
+
+$(document).on('click', '.memory-manager-review-accept', async function() {
+    const id = $(this).closest('.memory-manager-review-item').data('id');
+    const item = getPendingMemories().find(entry => entry.id === id);
+
+    if (item && item.text.trim()) {
+        await acceptPendingMemory(id);
+    } else if (item) {
+        removePendingMemory(id);
+    }
+
+    refreshReviewList();
+});
+
+$(document).on('click', '.memory-manager-review-reject', function() {
+    removePendingMemory($(this).closest('.memory-manager-review-item').data('id'));
+    refreshReviewList();
+});
+
+$(document).on('click', '#memory-manager-review-accept-all', async function() {
+    for (const item of [...getPendingMemories()]) {
+        if (item.text.trim()) {
+            await acceptPendingMemory(item.id);
+        } else {
+            removePendingMemory(item.id);
+        }
+    }
+
+    refreshReviewList();
+});
+
+$(document).on('click', '#memory-manager-review-reject-all', function() {
+    getPendingMemories().splice(0);
+    saveChatState();
+    refreshReviewList();
+});
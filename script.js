@@ -5,6 +5,9 @@
 // Export version for manifest compatibility
 export const version = '1.0.0';
 
+// Key used for the extension's data in character cards and chat metadata
+export const memoryDataKey = 'character_memory_manager';
+
 /**
  * Helper function to format a date into a consistent format
  * @param {Date} date - Date to format
@@ -20,6 +23,42 @@ export function formatDate(date) {
     return `${month}/${day}/${year} ${hours}:${minutes}`;
 }
 
+/**
+ * Parses a date produced by formatDate back into a Date
+ * @param {string} text - Date string in MM/DD/YYYY HH:mm format
+ * @returns {Date|null} - Parsed date, or null if the text doesn't match
+ */
+export function parseDate(text) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}):(\d{2})$/.exec((text || '').trim());
+    if (!match) {
+        return null;
+    }
+    
+    const [, month, day, year, hours, minutes] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+// Counts the identifiers made in this session, so identifiers made in the same millisecond differ
+let idCounter = 0;
+
+/**
+ * Generates a short identifier for a memory record
+ * @param {Set<string>} [takenIds] - Identifiers already in use, which the new one must not repeat
+ * @returns {string} - Identifier such as "m1k2j3h0a4g5f6d"
+ */
+export function generateMemoryId(takenIds = new Set()) {
+    let id;
+    
+    do {
+        const time = Date.now().toString(36).slice(-5);
+        const count = (idCounter++ % 1296).toString(36).padStart(2, '0');
+        const random = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+        id = `m${time}${count}${random}`;
+    } while (takenIds.has(id));
+    
+    return id;
+}
+
 /**
  * Extracts names from the message text
  * @param {string} text - Message text
@@ -60,6 +99,20 @@ export function parseMemoryItems(summary) {
         .filter(line => line.length > 0);
 }
 
+/**
+ * Escapes text for use inside HTML markup
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Returns a JSON-safe copy of an object
  * @param {object} obj - Object to copy
@@ -0,0 +1,324 @@
+/**
+ * Settings Overrides Module
+ * Lets a character or a chat override some of the global settings.
+ * Resolution order: chat, then character, then group, then global.
+ */
+
+import { saveSettingsDebounced } from '../../../../script.js';
+import { getContext } from '../../../extensions.js';
+import { getSettings } from './settings.js';
+import { getChatState, saveChatState } from './chat-state.js';
+import { getGroupOwnerKey } from './memory-store.js';
+import { PROVIDERS } from './model-providers.js';
+import { escapeHtml } from './script.js';
+
+// Settings that can be overridden, with how to edit them.
+// Character-only settings are kept out of the chat metadata, which is saved in the chat file.
+export const OVERRIDABLE_SETTINGS = {
+    enabled: { label: 'Enabled', type: 'checkbox' },
+    messagesBeforeSummarize: { label: 'Messages before summarization', type: 'number', min: 5, max: 100 },
+    summarizationPrompt: { label: 'Summarization prompt', type: 'textarea' },
+    memoryTarget: {
+        label: 'Write memories to',
+        type: 'select',
+        options: { notes: 'Character notes', lorebook: 'Lorebook', both: 'Both', store: 'Memory store only' },
+    },
+    userFactsToPersona: { label: 'Write facts about {{user}} to the persona', type: 'checkbox' },
+    useSeparateModel: { label: 'Use a separate model', type: 'checkbox' },
+    separateModelProvider: {
+        label: 'Provider',
+        type: 'select',
+        options: Object.fromEntries(Object.entries(PROVIDERS).map(([key, provider]) => [key, provider.label])),
+    },
+    separateModelEndpoint: { label: 'Endpoint', type: 'text' },
+    separateModelApiKey: { label: 'API key', type: 'password', characterOnly: true },
+    separateModelName: { label: 'Model', type: 'text' },
+};
+
+const LEVEL_LABELS = {
+    chat: 'this chat',
+    character: 'this character',
+    global: 'global',
+};
+
+let panelLevel = 'character';
+
+/**
+ * Get the key the overrides of the current character or group are stored under
+ * @returns {string|null} - Character avatar or group memory key, null if no chat is open
+ */
+export function getOverrideOwner() {
+    const context = getContext();
+
+    if (context.groupId) {
+        return getGroupOwnerKey(context.groupId);
+    }
+
+    return context.characters[context.characterId]?.avatar || null;
+}
+
+/**
+ * Get the memory owners of the current chat: the character, or the members and the shared memory of the group
+ * @returns {string[]} - Character avatars and group memory keys
+ */
+function getOpenChatOwners() {
+    const context = getContext();
+
+    if (context.groupId) {
+        const group = context.groups.find(item => item.id === context.groupId);
+        return [...(group?.members || []), getGroupOwnerKey(context.groupId)];
+    }
+
+    const avatar = context.characters[context.characterId]?.avatar;
+    return avatar ? [avatar] : [];
+}
+
+/**
+ * Remove the character-only settings a chat overrides, e.g. an API key stored by an earlier version
+ * @param {object} overrides - Live chat overrides
+ */
+function removeCharacterOnlyOverrides(overrides) {
+    const keys = Object.keys(overrides).filter(key => OVERRIDABLE_SETTINGS[key]?.characterOnly);
+
+    if (keys.length > 0) {
+        keys.forEach(key => delete overrides[key]);
+        saveChatState();
+    }
+}
+
+/**
+ * Get the overrides stored at a level for the current chat
+ * @param {'chat'|'character'} level - Override level
+ * @param {boolean} [create=false] - Whether to create the override map if it does not exist
+ * @returns {object|null} - The live overrides, null if there is nothing to override
+ */
+function getOverrides(level, create = false) {
+    if (level === 'chat') {
+        if (!getContext().getCurrentChatId()) {
+            return null;
+        }
+
+        const state = getChatState();
+
+        if (!state.settingsOverrides && create) {
+            state.settingsOverrides = {};
+        }
+
+        if (state.settingsOverrides) {
+            removeCharacterOnlyOverrides(state.settingsOverrides);
+        }
+
+        return state.settingsOverrides || null;
+    }
+
+    const owner = getOverrideOwner();
+    const settings = getSettings();
+
+    if (!owner) {
+        return null;
+    }
+
+    if (!settings.characterOverrides[owner] && create) {
+        settings.characterOverrides[owner] = {};
+    }
+
+    return settings.characterOverrides[owner] || null;
+}
+
+/**
+ * Save the overrides stored at a level
+ * @param {'chat'|'character'} level - Override level
+ */
+function saveOverrides(level) {
+    if (level === 'chat') {
+        saveChatState();
+    } else {
+        saveSettingsDebounced();
+    }
+}
+
+/**
+ * Override a setting for the current chat or character
+ * @param {'chat'|'character'} level - Override level
+ * @param {string} key - Setting key from OVERRIDABLE_SETTINGS
+ * @param {*} value - Value to use at this level
+ * @returns {boolean} - Whether the override was stored, character-only settings are not stored for a chat
+ */
+export function setSettingOverride(level, key, value) {
+    if (!(key in OVERRIDABLE_SETTINGS) || (level === 'chat' && OVERRIDABLE_SETTINGS[key].characterOnly)) {
+        return false;
+    }
+
+    const overrides = getOverrides(level, true);
+
+    if (!overrides) {
+        return false;
+    }
+
+    overrides[key] = value;
+    saveOverrides(level);
+    return true;
+}
+
+/**
+ * Remove the override of a setting, so the next level applies again
+ * @param {'chat'|'character'} level - Override level
+ * @param {string} key - Setting key
+ */
+export function clearSettingOverride(level, key) {
+    const overrides = getOverrides(level);
+
+    if (overrides && key in overrides) {
+        delete overrides[key];
+        saveOverrides(level);
+    }
+}
+
+/**
+ * Get the level a setting currently comes from
+ * @param {string} key - Setting key
+ * @returns {'chat'|'character'|'global'} - Active level
+ */
+export function getSettingLevel(key) {
+    if (getOverrides('chat')?.[key] !== undefined) {
+        return 'chat';
+    }
+
+    if (getOverrides('character')?.[key] !== undefined) {
+        return 'character';
+    }
+
+    return 'global';
+}
+
+/**
+ * Get the settings that apply to a memory owner, with its overrides applied.
+ * A group member gets the overrides of the group of the current chat, then its own character overrides.
+ * The chat overrides only apply to the owners of the current chat.
+ * The result is a copy: changes to the global settings must go to getSettings().
+ * @param {string|null} [owner] - Character avatar or group memory key, the current character or group if not given
+ * @returns {object} - Effective settings
+ */
+export function getEffectiveSettings(owner = getOverrideOwner()) {
+    const settings = getSettings();
+    const chatOwner = getOverrideOwner();
+    const inOpenChat = !!owner && getOpenChatOwners().includes(owner);
+
+    return {
+        ...settings,
+        ...(inOpenChat && chatOwner !== owner ? settings.characterOverrides[chatOwner] : {}),
+        ...(owner ? settings.characterOverrides[owner] : {}),
+        ...(inOpenChat ? getOverrides('chat') : {}),
+    };
+}
+
+/**
+ * Render the input of an overridable setting
+ * @param {string} key - Setting key
+ * @param {*} value - Value to show
+ * @param {boolean} overridden - Whether the setting is overridden at the selected level
+ * @returns {string} - Input HTML
+ */
+function renderOverrideInput(key, value, overridden) {
+    const { type, options, min, max } = OVERRIDABLE_SETTINGS[key];
+    const disabled = overridden ? '' : 'disabled';
+
+    switch (type) {
+        case 'checkbox':
+            return `<input class="memory-manager-override-value" type="checkbox" ${value ? 'checked' : ''} ${disabled} />`;
+        case 'number':
+            return `<input class="memory-manager-override-value" type="number" min="${min}" max="${max}" value="${Number(value)}" ${disabled} />`;
+        case 'textarea':
+            return `<textarea class="memory-manager-override-value" rows="3" ${disabled}>${escapeHtml(value ?? '')}</textarea>`;
+        case 'select':
+            return `<select class="memory-manager-override-value" ${disabled}>${Object.entries(options)
+                .map(([option, label]) => `<option value="${option}" ${value === option ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+                .join('')}</select>`;
+        default:
+            return `<input class="memory-manager-override-value" type="${type === 'password' ? 'password' : 'text'}" value="${escapeHtml(value ?? '')}" ${disabled} />`;
+    }
+}
+
+/**
+ * Show the overrides of the current character or chat in the settings panel
+ */
+export function refreshOverridePanel() {
+    const list = $('#memory-manager-override-list');
+
+    if (!list.length) {
+        return;
+    }
+
+    $('#memory-manager-override-level').val(panelLevel);
+
+    if (!getOverrideOwner()) {
+        list.html('<div class="memory-manager-hint">Open a chat to override settings for it or its character.</div>');
+        return;
+    }
+
+    const overrides = getOverrides(panelLevel) || {};
+    const effective = getEffectiveSettings();
+
+    const available = Object.entries(OVERRIDABLE_SETTINGS).filter(([, { characterOnly }]) => panelLevel !== 'chat' || !characterOnly);
+
+    list.html(available.map(([key, { label }]) => {
+        const overridden = overrides[key] !== undefined;
+        const level = getSettingLevel(key);
+
+        return `
+        <div class="memory-manager-override" data-key="${key}">
+            <div class="memory-manager-override-header">
+                <label class="checkbox_label">
+                    <input class="memory-manager-override-toggle" type="checkbox" ${overridden ? 'checked' : ''} />
+                    <span>${escapeHtml(label)}</span>
+                </label>
+                <span class="memory-manager-override-level ${level}" title="Level this setting comes from">${LEVEL_LABELS[level]}</span>
+            </div>
+            ${renderOverrideInput(key, overridden ? overrides[key] : effective[key], overridden)}
+        </div>`;
+    }).join(''));
+}
+
+/**
+ * Read the value of an override input
+ * @param {string} key - Setting key
+ * @param {JQuery} input - Input element
+ * @returns {*} - Value
+ */
+function readOverrideInput(key, input) {
+    switch (OVERRIDABLE_SETTINGS[key].type) {
+        case 'checkbox':
+            return !!input.prop('checked');
+        case 'number':
+            return Number(input.val());
+        default:
+            return String(input.val());
+    }
+}
+
+// Override panel handlers
+$(document).on('change', '#memory-manager-override-level', function() {
+    panelLevel = String($(this).val()) === 'chat' ? 'chat' : 'character';
+    refreshOverridePanel();
+});
+
+$(document).on('change', '.memory-manager-override-toggle', function() {
+    const row = $(this).closest('.memory-manager-override');
+    const key = String(row.attr('data-key'));
+
+    if ($(this).prop('checked')) {
+        // Start from the value that applies now
+        setSettingOverride(panelLevel, key, getEffectiveSettings()[key]);
+    } else {
+        clearSettingOverride(panelLevel, key);
+    }
+
+    refreshOverridePanel();
+});
+
+$(document).on('change', '.memory-manager-override-value', function() {
+    const key = String($(this).closest('.memory-manager-override').attr('data-key'));
+
+    setSettingOverride(panelLevel, key, readOverrideInput(key, $(this)));
+    refreshOverridePanel();
+});
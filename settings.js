@@ -0,0 +1,114 @@
+/**
+ * Settings Module
+ * Holds the extension settings shared by all modules
+ */
+
+import { extension_settings } from '../../../extensions.js';
+import { safeClone } from './script.js';
+
+// Extension name needs to match directory name EXACTLY
+export const extensionName = 'SillyTavern-Character-Memory-Manager';
+
+// Default settings
+export const defaultSettings = {
+    enabled: true,
+    messagesBeforeSummarize: 20,
+    triggerCountMode: "user",
+    triggerTokenThreshold: 0,
+    triggerIdleMinutes: 0,
+    triggerOnChatSwitch: false,
+    triggerOnSceneBreak: false,
+    sceneBreakMarkers: [
+        "* * *",
+        "/\\b(hours|days|weeks|months|years) later\\b/i",
+        "/\\b(the next|the following) (morning|day|evening|night)\\b/i",
+        "/\\btime ?skip\\b/i",
+        "/^\\*?(meanwhile|elsewhere),/im",
+        "/^\\*?(arriving|upon arriving|upon arrival) (at|in)\\b/im",
+    ].join("\n"),
+    showNotifications: true,
+    duplicateThreshold: 0.8,
+    contradictionCheck: "off",
+    verifyMemories: "off",
+    supersededDisplay: "hide",
+    reviewMemories: false,
+    userFactsToPersona: false,
+    resummarizeStale: false,
+    groupMemoryMode: "participants",
+    memoryTarget: "notes",
+    lorebookName: "",
+    injectMemories: false,
+    injectionMaxMemories: 10,
+    injectionTokenBudget: 500,
+    injectionContextMessages: 6,
+    injectionPosition: 1,
+    injectionDepth: 4,
+    injectionRole: 0,
+    trackRelationships: false,
+    injectRelationships: false,
+    storySummaries: false,
+    windowsPerScene: 4,
+    scenesPerArc: 4,
+    injectStory: false,
+    storyTokenBudget: 800,
+    autoConsolidate: false,
+    consolidationTokenBudget: 2000,
+    recentMemoriesToKeep: 10,
+    historyRetention: 10,
+    consolidationPrompt: "Merge the following memories of {{char}} into a compact, canonical list. Combine duplicates and related facts, keep names, promises and relationship changes, and drop trivial details. Reply with one bullet point per memory.",
+    useSeparateModel: false,
+    structuredOutput: false,
+    summaryChunkTokens: 3000,
+    characterOverrides: {},
+    separateModelProvider: "openai",
+    separateModelEndpoint: "",
+    separateModelApiKey: "",
+    separateModelName: "",
+    separateModelMaxTokens: 500,
+    separateModelTemperature: 0.7,
+    separateModelTopP: 1,
+    separateModelTimeout: 60,
+    separateModelRetries: 2,
+    summarizationPrompt: "Pause your chat with the user and summarize the last {{count}} messages in this array. Provide a summarized listicle of any interesting events, relationship dynamics, promises made or deeds performed including summaries of any noteworthy conversations between {{user}} and {{char}}."
+};
+
+// Initialize settings, adding defaults for options introduced after the settings were first saved.
+// Object defaults are copied, so the settings never share them with defaultSettings.
+if (!extension_settings[extensionName]) {
+    extension_settings[extensionName] = {};
+}
+
+for (const [key, value] of Object.entries(defaultSettings)) {
+    if (extension_settings[extensionName][key] === undefined) {
+        extension_settings[extensionName][key] = typeof value === 'object' && value !== null ? safeClone(value) : value;
+    }
+}
+
+/**
+ * Get the extension settings
+ * @returns {object} - The live settings object
+ */
+export function getSettings() {
+    return extension_settings[extensionName];
+}
+
+/**
+ * Get the summarization model options from the settings
+ * @param {object} [settings] - Settings to read, the global settings if not given
+ * @returns {import('./model-providers.js').ModelOptions} - Model options
+ */
+export function getModelOptions(settings = getSettings()) {
+    return {
+        useSeparateModel: settings.useSeparateModel,
+        provider: settings.separateModelProvider,
+        endpoint: settings.separateModelEndpoint,
+        apiKey: settings.separateModelApiKey,
+        model: settings.separateModelName,
+        maxTokens: settings.separateModelMaxTokens,
+        temperature: settings.separateModelTemperature,
+        topP: settings.separateModelTopP,
+        timeout: settings.separateModelTimeout,
+        retries: settings.separateModelRetries,
+        chunkTokens: settings.summaryChunkTokens,
+    };
+}
@@ -0,0 +1,155 @@
+/**
+ * Similarity Module
+ * Text normalization and near-duplicate scoring for memory items
+ */
+
+// Words that carry no meaning for comparing memories
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did',
+    'that', 'this', 'these', 'those', 'it', 'its', 'he', 'she', 'they', 'them', 'his', 'her', 'their',
+    'him', 'who', 'which', 'what', 'there', 'then', 'than', 'so', 'very', 'also', 'made', 'make', 'makes',
+]);
+
+// Words that negate a statement or say that its situation changed
+const STATEMENT_CHANGES = /\b(no longer|not|never|no|cannot|anymore|stopped|used to|gave up|lost|sold|destroyed|gave away|threw away|broke up|split up|divorced|separated|quit|resigned|retired|fired|died|dead|killed|former|ex)\b/g;
+
+/**
+ * Normalize text for comparison: lowercase, no punctuation, single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reduce a word to a rough stem so inflections compare equal
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stemWord(word) {
+    if (word.length <= 4) {
+        return word;
+    }
+
+    return word.replace(/(ing|ed|es|s|e)$/, '');
+}
+
+/**
+ * Split text into stemmed content words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Tokens
+ */
+export function tokenize(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(stemWord);
+}
+
+/**
+ * Get the character trigrams of a text
+ * @param {string} text - Text to split
+ * @returns {Set<string>} - Trigrams
+ */
+function getTrigrams(text) {
+    const normalized = ` ${normalizeText(text)} `;
+    const trigrams = new Set();
+
+    for (let i = 0; i < normalized.length - 2; i++) {
+        trigrams.add(normalized.slice(i, i + 3));
+    }
+
+    return trigrams;
+}
+
+/**
+ * Dice coefficient of two sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} - Similarity between 0 and 1
+ */
+function diceCoefficient(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    a.forEach(item => {
+        if (b.has(item)) {
+            shared++;
+        }
+    });
+
+    return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Score how similar two memory texts are.
+ * Combines content word overlap, which catches reworded sentences,
+ * with character trigram overlap, which catches small spelling and inflection changes.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Similarity between 0 and 1
+ */
+export function textSimilarity(a, b) {
+    if (normalizeText(a) === normalizeText(b)) {
+        return 1;
+    }
+
+    const tokenScore = diceCoefficient(new Set(tokenize(a)), new Set(tokenize(b)));
+    const trigramScore = diceCoefficient(getTrigrams(a), getTrigrams(b));
+
+    return 0.7 * tokenScore + 0.3 * trigramScore;
+}
+
+/**
+ * Get the words of a text that negate it or say that a situation changed
+ * @param {string} text - Text to check
+ * @returns {Set<string>} - Words found, contractions such as "isn't" count as "not"
+ */
+function getStatementChanges(text) {
+    const expanded = (text || '').toLowerCase().replace(/n['’]t\b/g, ' not');
+    return new Set(expanded.match(STATEMENT_CHANGES) || []);
+}
+
+/**
+ * Check whether two texts differ by a negation or a change of state, like "Alice and Bob are not dating"
+ * and "Alice and Bob are dating". However similar, such texts say different things.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {boolean} - Whether one has a negation or state change word the other lacks
+ */
+export function changesStatement(a, b) {
+    const changesA = getStatementChanges(a);
+    const changesB = getStatementChanges(b);
+
+    return changesA.size !== changesB.size || [...changesA].some(word => !changesB.has(word));
+}
+
+/**
+ * Find the most similar candidate for a text
+ * @template T
+ * @param {string} text - Text to match
+ * @param {T[]} candidates - Candidates to compare against
+ * @param {(candidate: T) => string} getText - Returns the text of a candidate
+ * @returns {{candidate: T, score: number}|null} - Best match, or null if there are no candidates
+ */
+export function findBestMatch(text, candidates, getText) {
+    let best = null;
+
+    candidates.forEach(candidate => {
+        const score = textSimilarity(text, getText(candidate));
+
+        if (!best || score > best.score) {
+            best = { candidate, score };
+        }
+    });
+
+    return best;
+}
@@ -0,0 +1,170 @@
+/**
+ * Source Tracking Module
+ * Fingerprints summarized message ranges so memories can be flagged when their source messages change
+ */
+
+import { getContext } from '../../../extensions.js';
+import { getChatState, saveChatState } from './chat-state.js';
+
+/**
+ * Compute a short fingerprint of the speakers and texts of some messages
+ * @param {object[]} messages - Chat messages
+ * @returns {string} - Fingerprint
+ */
+export function hashMessages(messages) {
+    const text = messages.map(msg => `${msg.name}\u0000${msg.mes}`).join('\u0001');
+    let hash = 5381;
+
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+
+    return `${messages.length}:${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Identify a message by when it was sent and by whom, which stays the same when messages before it are deleted
+ * @param {object} message - Chat message
+ * @returns {string|null} - Anchor, null if the message has no send date
+ */
+function getMessageAnchor(message) {
+    return message?.send_date ? `${message.send_date}\u0000${message.name}` : null;
+}
+
+/**
+ * @typedef {object} SourceFingerprint
+ * @property {string} hash - Fingerprint of the messages of the range, see hashMessages
+ * @property {string|null} anchor - Anchor of the first message of the range, see getMessageAnchor
+ */
+
+/**
+ * @typedef {object} RangeMove
+ * @property {{start: number, end: number}} from - Range where the messages were summarized
+ * @property {{start: number, end: number}} to - Range where the same messages are now
+ */
+
+/**
+ * Get the fingerprints of the summarized ranges of the current chat
+ * @returns {Object<string, SourceFingerprint>} - Fingerprints keyed by "start-end"
+ */
+function getSourceHashes() {
+    const state = getChatState();
+
+    if (!state.sourceHashes || typeof state.sourceHashes !== 'object') {
+        state.sourceHashes = {};
+    }
+
+    return state.sourceHashes;
+}
+
+/**
+ * Remember the fingerprint of a summarized range of the current chat
+ * @param {{start: number, end: number}} range - Inclusive message range
+ */
+export function recordSourceRange(range) {
+    const messages = getContext().chat.slice(range.start, range.end + 1);
+    getSourceHashes()[`${range.start}-${range.end}`] = {
+        hash: hashMessages(messages),
+        anchor: getMessageAnchor(messages[0]),
+    };
+    saveChatState();
+}
+
+/**
+ * Forget the fingerprint of a summarized range, e.g. after its messages were deleted
+ * @param {{start: number, end: number}} range - Inclusive message range
+ */
+export function forgetSourceRange(range) {
+    delete getSourceHashes()[`${range.start}-${range.end}`];
+    saveChatState();
+}
+
+/**
+ * Find where the first message of a summarized range is now, after messages before it were deleted or inserted
+ * @param {object[]} chat - Messages of the chat
+ * @param {string|null} anchor - Anchor of the first message
+ * @param {number} start - Index the message had when the range was summarized
+ * @returns {number} - Current index, the old one if the message is not found
+ */
+function findAnchor(chat, anchor, start) {
+    if (!anchor || getMessageAnchor(chat[start]) === anchor) {
+        return start;
+    }
+
+    const candidates = chat
+        .map((message, index) => getMessageAnchor(message) === anchor ? index : -1)
+        .filter(index => index !== -1);
+
+    return candidates.length > 0
+        ? candidates.reduce((best, index) => Math.abs(index - start) < Math.abs(best - start) ? index : best)
+        : start;
+}
+
+/**
+ * Find the summarized ranges of the current chat whose messages were edited, deleted or swiped since.
+ * Ranges whose messages only moved, because messages before them were deleted or inserted,
+ * are not changed: their fingerprints follow them to where they are now.
+ * @returns {{changed: {start: number, end: number}[], moved: RangeMove[]}} - Changed ranges, at their current place,
+ * and the ranges that moved
+ */
+export function findChangedRanges() {
+    const chat = getContext().chat || [];
+    const hashes = getSourceHashes();
+    const updated = {};
+    const changed = [];
+    const moved = [];
+
+    Object.entries(hashes).forEach(([key, fingerprint]) => {
+        const [start, end] = key.split('-').map(Number);
+        const newStart = findAnchor(chat, fingerprint.anchor, start);
+        const range = { start: newStart, end: newStart + end - start };
+
+        if (newStart !== start) {
+            moved.push({ from: { start, end }, to: range });
+        }
+
+        if (hashMessages(chat.slice(range.start, range.end + 1)) !== fingerprint.hash) {
+            changed.push(range);
+        }
+
+        updated[`${range.start}-${range.end}`] = fingerprint;
+    });
+
+    if (moved.length > 0) {
+        getChatState().sourceHashes = updated;
+        saveChatState();
+    }
+
+    return { changed, moved };
+}
+
+/**
+ * Get the index a message has now, if it belongs to a summarized range that moved
+ * @param {number} index - Index of the message when it was summarized
+ * @param {RangeMove[]} moves - Moved ranges, see findChangedRanges
+ * @returns {number} - Current index
+ */
+export function remapIndex(index, moves) {
+    const move = moves.find(({ from }) => index >= from.start && index <= from.end);
+    return move ? index + move.to.start - move.from.start : index;
+}
+
+/**
+ * Get the range some messages cover now, if they belong to summarized ranges that moved
+ * @param {{start: number, end: number}} range - Inclusive message range when the messages were summarized
+ * @param {RangeMove[]} moves - Moved ranges, see findChangedRanges
+ * @returns {{start: number, end: number}} - Current range
+ */
+export function remapRange(range, moves) {
+    return { start: remapIndex(range.start, moves), end: remapIndex(range.end, moves) };
+}
+
+/**
+ * Check whether two message ranges overlap
+ * @param {{start: number, end: number}} a - First range
+ * @param {{start: number, end: number}} b - Second range
+ * @returns {boolean} - Whether they share a message
+ */
+export function rangesOverlap(a, b) {
+    return a.start <= b.end && b.start <= a.end;
+}
@@ -0,0 +1,286 @@
+/**
+ * Story Summaries Module
+ * Rolls the summaries of each summarization window up into scene summaries, and those into arc summaries,
+ * so the structure of a long roleplay survives next to the flat memory list
+ */
+
+import { callPopup } from '../../../../script.js';
+import { getContext } from '../../../extensions.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { getChatState, saveChatState } from './chat-state.js';
+import { generateText } from './summarization-service.js';
+import { rangesOverlap, remapRange } from './source-tracking.js';
+import { escapeHtml } from './script.js';
+
+// Levels from the most detailed to the most condensed
+export const STORY_LEVELS = {
+    window: 'Window',
+    scene: 'Scene',
+    arc: 'Arc',
+};
+
+const SCENE_PROMPT = `You summarize a roleplay between {{user}} and {{char}}. The notes below cover consecutive parts of the story, in order.
+Write one scene summary of them: a short paragraph in the past tense saying what happened, where, who was involved and how it changed them. Keep names, decisions and promises, and drop minor details.
+Reply only with the summary.`;
+
+const ARC_PROMPT = `You summarize a roleplay between {{user}} and {{char}}. The scene summaries below follow each other in the story.
+Write one chapter summary of them: a paragraph in the past tense with the main plot developments, how the relationships changed and what is still unresolved at the end.
+Reply only with the summary.`;
+
+/**
+ * @typedef {object} StorySummary
+ * @property {{start: number, end: number}} range - Inclusive message range the summary covers
+ * @property {string} text - Summary text
+ * @property {number} createdAt - Creation time in milliseconds
+ */
+
+/**
+ * Get the story summaries of the current chat, creating them on first use
+ * @returns {{window: StorySummary[], scene: StorySummary[], arc: StorySummary[]}} - The live summaries per level, oldest first
+ */
+export function getStorySummaries() {
+    const state = getChatState();
+
+    if (!state.story || typeof state.story !== 'object') {
+        state.story = {};
+    }
+
+    Object.keys(STORY_LEVELS).forEach(level => {
+        if (!Array.isArray(state.story[level])) {
+            state.story[level] = [];
+        }
+    });
+
+    return state.story;
+}
+
+/**
+ * Remove the summaries of every level that cover messages of a range, after those messages were summarized again.
+ * The scenes and arcs they belonged to are rolled up again from what is left.
+ * @param {{start: number, end: number}} range - Inclusive message range
+ * @returns {number} - Number of removed summaries
+ */
+export function removeStorySummaries(range) {
+    const story = getStorySummaries();
+    let removed = 0;
+
+    Object.keys(STORY_LEVELS).forEach(level => {
+        const kept = story[level].filter(summary => !rangesOverlap(summary.range, range));
+        removed += story[level].length - kept.length;
+        story[level] = kept;
+    });
+
+    if (removed > 0) {
+        saveChatState();
+    }
+
+    return removed;
+}
+
+/**
+ * Point the summaries of every level at the messages they cover, after those messages moved
+ * @param {import('./source-tracking.js').RangeMove[]} moves - Moved ranges, see findChangedRanges
+ */
+export function moveStorySummaries(moves) {
+    const story = getStorySummaries();
+
+    Object.keys(STORY_LEVELS).forEach(level => {
+        story[level].forEach(summary => {
+            summary.range = remapRange(summary.range, moves);
+        });
+    });
+
+    saveChatState();
+}
+
+/**
+ * Group the summaries of a level that no summary of the next level covers yet.
+ * Consecutive groups of the given size are returned, and a gap left between two covered stretches
+ * is returned whole, as it will not grow any more.
+ * @param {StorySummary[]} children - Summaries of the lower level, oldest first
+ * @param {StorySummary[]} parents - Summaries of the higher level
+ * @param {number} size - Number of children per parent
+ * @returns {StorySummary[][]} - Groups of children to roll up
+ */
+function findRollupGroups(children, parents, size) {
+    const uncovered = children.filter(child => !parents.some(parent => child.range.start >= parent.range.start && child.range.end <= parent.range.end));
+    const runs = [];
+
+    // Split the uncovered summaries where a parent lies between them
+    uncovered.forEach(child => {
+        const run = runs[runs.length - 1];
+        const previous = run?.[run.length - 1];
+
+        if (previous && !parents.some(parent => parent.range.start > previous.range.end && parent.range.end < child.range.start)) {
+            run.push(child);
+        } else {
+            runs.push([child]);
+        }
+    });
+
+    return runs.flatMap(run => {
+        const closed = parents.some(parent => parent.range.start > run[run.length - 1].range.end);
+        const groups = [];
+
+        for (let index = 0; index + size <= run.length; index += size) {
+            groups.push(run.slice(index, index + size));
+        }
+
+        const rest = run.slice(groups.length * size);
+
+        if (closed && rest.length > 0) {
+            groups.push(rest);
+        }
+
+        return groups;
+    });
+}
+
+/**
+ * Summarize a group of summaries into one summary of the next level
+ * @param {StorySummary[]} group - Summaries to combine, oldest first
+ * @param {string} promptTemplate - Prompt, {{char}} and {{user}} are replaced with the names
+ * @param {object} options - Roll-up options, see updateStorySummaries
+ * @returns {Promise<StorySummary>} - Combined summary
+ */
+async function rollUpGroup(group, promptTemplate, { characterName, userName, modelOptions }) {
+    const systemMessage = promptTemplate
+        .replace(/{{char}}/g, characterName)
+        .replace(/{{user}}/g, userName);
+    const userMessage = group
+        .map((summary, index) => `Part ${index + 1} (messages ${summary.range.start}-${summary.range.end}):\n${summary.text}`)
+        .join('\n\n');
+    const text = (await generateText(systemMessage, userMessage, modelOptions)).trim();
+
+    if (!text) {
+        throw new Error('The model returned an empty story summary');
+    }
+
+    return {
+        range: { start: group[0].range.start, end: group[group.length - 1].range.end },
+        text,
+        createdAt: Date.now(),
+    };
+}
+
+/**
+ * Keep the summary of a window and roll the windows up into scenes, and the scenes into arcs, once there are enough
+ * @param {{start: number, end: number}} range - Summarized message range
+ * @param {string} text - Summary of the window
+ * @param {object} options - Roll-up options
+ * @param {number} options.windowsPerScene - Window summaries per scene summary
+ * @param {number} options.scenesPerArc - Scene summaries per arc summary
+ * @param {string} options.characterName - Name of the character, or the characters of a group
+ * @param {string} options.userName - Name of the user
+ * @param {import('./model-providers.js').ModelOptions} [options.modelOptions] - Which model to use and how
+ * @returns {Promise<{scenes: number, arcs: number}>} - Number of new scene and arc summaries
+ */
+export async function updateStorySummaries(range, text, options) {
+    // The summaries belong to the chat open now, even if the user switches while the model answers
+    const chatId = getContext().getCurrentChatId();
+    const story = getStorySummaries();
+    const save = () => {
+        if (getContext().getCurrentChatId() === chatId) {
+            saveChatState();
+        }
+    };
+
+    if (text.trim()) {
+        story.window = [
+            ...story.window.filter(summary => !rangesOverlap(summary.range, range)),
+            { range: { ...range }, text: text.trim(), createdAt: Date.now() },
+        ].sort((a, b) => a.range.start - b.range.start);
+        save();
+    }
+
+    const created = { scenes: 0, arcs: 0 };
+    const levels = [
+        { from: 'window', to: 'scene', size: options.windowsPerScene, prompt: SCENE_PROMPT, counter: 'scenes' },
+        { from: 'scene', to: 'arc', size: options.scenesPerArc, prompt: ARC_PROMPT, counter: 'arcs' },
+    ];
+
+    for (const { from, to, size, prompt, counter } of levels) {
+        for (const group of findRollupGroups(story[from], story[to], Math.max(2, size))) {
+            const summary = await rollUpGroup(group, prompt, options);
+            story[to] = [...story[to], summary].sort((a, b) => a.range.start - b.range.start);
+            created[counter]++;
+            save();
+        }
+    }
+
+    return created;
+}
+
+/**
+ * Get the story of the current chat told at a level: the summaries of that level,
+ * and the summaries of the lower levels for the messages not rolled up that far yet
+ * @param {'window'|'scene'|'arc'} level - Most condensed level to use
+ * @returns {Array<StorySummary & {level: string}>} - Summaries in story order
+ */
+export function getStorySoFar(level) {
+    const story = getStorySummaries();
+    const levels = Object.keys(STORY_LEVELS);
+    const used = levels.slice(0, levels.indexOf(level) + 1).reverse();
+    const result = [];
+
+    used.forEach(current => {
+        story[current]
+            .filter(summary => !result.some(higher => summary.range.start >= higher.range.start && summary.range.end <= higher.range.end))
+            .forEach(summary => result.push({ ...summary, level: current }));
+    });
+
+    return result.sort((a, b) => a.range.start - b.range.start);
+}
+
+/**
+ * Render the story of the current chat as text
+ * @param {'window'|'scene'|'arc'} level - Most condensed level to use
+ * @returns {string} - One paragraph per summary with its message range, empty if there are no summaries
+ */
+export function renderStorySoFar(level) {
+    return getStorySoFar(level)
+        .map(summary => `[Messages ${summary.range.start}-${summary.range.end}]\n${summary.text}`)
+        .join('\n\n');
+}
+
+/**
+ * Render the prompt block with the most condensed story of the current chat.
+ * The oldest summaries are left out when the story is over the budget.
+ * @param {number} tokenBudget - Most tokens the summaries may use
+ * @returns {Promise<string>} - Story block, empty if there are no summaries or none fits
+ */
+export async function renderStoryBlock(tokenBudget) {
+    const kept = [];
+    let tokens = 0;
+
+    for (const summary of getStorySoFar('arc').reverse()) {
+        const summaryTokens = await getTokenCountAsync(summary.text);
+
+        if (tokens + summaryTokens > tokenBudget) {
+            break;
+        }
+
+        kept.unshift(summary.text);
+        tokens += summaryTokens;
+    }
+
+    return kept.length > 0 ? `[Story so far]\n${kept.join('\n\n')}` : '';
+}
+
+/**
+ * Show the story of the current chat at a level in a popup
+ * @param {'window'|'scene'|'arc'} level - Most condensed level to use
+ * @returns {Promise<void>}
+ */
+export async function showStoryPopup(level) {
+    const summaries = getStorySoFar(level);
+    const body = summaries.length > 0
+        ? summaries.map(summary => `
+            <div class="memory-manager-story-entry">
+                <div class="memory-manager-story-range">${escapeHtml(STORY_LEVELS[summary.level])} · messages ${summary.range.start}–${summary.range.end}</div>
+                <div>${escapeHtml(summary.text)}</div>
+            </div>`).join('')
+        : '<div class="memory-manager-hint">No story summaries in this chat yet. They are written with each memory update.</div>';
+
+    await callPopup(`<div id="memory-manager-story"><h3>The story so far</h3>${body}</div>`, 'text', '', { wide: true });
+}
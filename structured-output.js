@@ -0,0 +1,136 @@
+/**
+ * Structured Output Module
+ * Asks the summarization model for categorized JSON and validates what comes back
+ */
+
+import { splitSummaryItems } from './memory-manager.js';
+
+// Categories the model is asked to fill, in prompt order
+const SCHEMA_CATEGORIES = ['events', 'relationships', 'promises', 'character', 'user', 'world'];
+
+/**
+ * Instruction appended to the summarization prompt in structured mode
+ */
+export const STRUCTURED_OUTPUT_INSTRUCTION = `Respond only with a JSON object, without any text around it, in this shape:
+{
+  "events": ["things that happened"],
+  "relationships": ["changes in relationships between characters"],
+  "promises": ["promises, plans and deals made"],
+  "character": ["facts learned about {{char}}"],
+  "user": ["facts learned about {{user}}"],
+  "world": ["locations and items that matter"]
+}
+Each entry is one short, self-contained sentence. Use an empty array for categories with nothing to report.`;
+
+/**
+ * Pull the JSON object out of a model response and fix the mistakes models commonly make
+ * @param {string} text - Model response
+ * @returns {object|null} - Parsed object, or null if it can't be parsed
+ */
+export function extractJson(text) {
+    const withoutFences = (text || '').replace(/```(?:json)?/gi, '');
+    const start = withoutFences.indexOf('{');
+    const end = withoutFences.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+        return null;
+    }
+
+    const candidate = withoutFences.slice(start, end + 1);
+    const repaired = candidate
+        .replace(/[“”]/g, '"')
+        .replace(/,\s*([}\]])/g, '$1');
+
+    for (const json of [candidate, repaired]) {
+        try {
+            const parsed = JSON.parse(json);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch {
+            // Try the next variant
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a parsed summary against the schema and flatten it into memory items.
+ * Unknown keys are ignored, a single string is accepted in place of an array.
+ * @param {object} data - Parsed summary
+ * @returns {{text: string, category: string}[]|null} - Memory items, or null if no category is valid
+ */
+function validateStructuredSummary(data) {
+    const items = [];
+    let validCategories = 0;
+
+    SCHEMA_CATEGORIES.forEach(category => {
+        let entries = data[category];
+
+        if (entries === undefined) {
+            return;
+        }
+
+        if (typeof entries === 'string') {
+            entries = [entries];
+        }
+
+        if (!Array.isArray(entries)) {
+            return;
+        }
+
+        validCategories++;
+        entries
+            .filter(entry => typeof entry === 'string' && entry.trim().length > 0)
+            .forEach(entry => items.push({ text: entry.trim(), category }));
+    });
+
+    return validCategories > 0 ? items : null;
+}
+
+/**
+ * Turn a structured summary into memory items.
+ * Falls back to splitSummaryItems on the raw text, like a plain summary, when the response isn't valid JSON for the schema.
+ * @param {string} summary - Model response
+ * @returns {{items: {text: string, category: string}[], valid: boolean}} - Memory items and whether the JSON was valid
+ */
+export function parseStructuredSummary(summary) {
+    const data = extractJson(summary);
+    const items = data ? validateStructuredSummary(data) : null;
+
+    if (items) {
+        return { items, valid: true };
+    }
+
+    console.warn('Memory Manager: Structured summary was not valid JSON, falling back to plain parsing');
+
+    // A response cut off mid-JSON still holds usable entries
+    const fallbackItems = (summary || '').includes('{') ? salvageJsonStrings(summary) : splitSummaryItems(summary);
+
+    return {
+        items: fallbackItems
+            .filter(text => text.length > 10)
+            .map(text => ({ text, category: 'general' })),
+        valid: false,
+    };
+}
+
+/**
+ * Collect the string values from broken or truncated JSON, skipping object keys
+ * @param {string} text - Model response
+ * @returns {string[]} - String values
+ */
+function salvageJsonStrings(text) {
+    const values = [];
+    const stringPattern = /"((?:[^"\\]|\\.)*)"(\s*:)?/g;
+    let match;
+
+    while ((match = stringPattern.exec(text)) !== null) {
+        if (!match[2]) {
+            values.push(match[1].replace(/\\"/g, '"').trim());
+        }
+    }
+
+    return values;
+}
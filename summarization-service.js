@@ -3,17 +3,39 @@
  * Handles generating summaries of chat conversations
  */
 
-import { callPopup } from '../../../../script.js';
+import { generateRaw, stopGeneration } from '../../../../script.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { callProvider } from './model-providers.js';
+
+// Instruction for merging the summaries of consecutive parts of a long transcript
+const REDUCE_INSTRUCTION = 'The following are summaries of consecutive parts of one conversation, in order. Merge them into a single summary, combining repeated points and keeping every distinct fact. Use exactly the format described below.';
+
+// Fewest characters per token assumed for a separate model, whose tokenizer SillyTavern doesn't know
+const MIN_CHARS_PER_TOKEN = 3;
+
+/**
+ * Get the token counter for the summarization model. The tokenizer of the current API only fits the current model,
+ * so for a separate model the count is at least one token per MIN_CHARS_PER_TOKEN characters.
+ * @param {import('./model-providers.js').ModelOptions} modelOptions - Which model to use and how
+ * @returns {(text: string) => Promise<number>} - Token counter
+ */
+function getTokenCounter(modelOptions) {
+    if (!modelOptions.useSeparateModel) {
+        return getTokenCountAsync;
+    }
+    
+    return async text => Math.max(await getTokenCountAsync(text), Math.ceil(text.length / MIN_CHARS_PER_TOKEN));
+}
 
 /**
- * Summarize a chat conversation
+ * Summarize a chat conversation.
+ * Transcripts longer than the chunk budget are summarized in parts, and the parts are merged into one summary.
  * @param {Array} messages - Array of chat messages
- * @param {string} characterName - Name of the character
+ * @param {string} characterName - Name of the character, or the participants of a group chat
  * @param {string} userName - Name of the user
  * @param {string} promptTemplate - Template for the summarization prompt
- * @param {boolean} useSeparateModel - Whether to use a separate model
- * @param {string} modelEndpoint - Endpoint for the separate model
- * @param {string} apiKey - API key for the separate model
+ * @param {import('./model-providers.js').ModelOptions} [modelOptions] - Which model to use and how
+ * @param {number|null} [firstMessageId] - ID of the first message, to prefix every message with its ID for citations. Null for no IDs
  * @returns {Promise<string>} - Summarized chat
  */
 export async function summarizeChat(
@@ -21,70 +43,196 @@ export async function summarizeChat(
     characterName, 
     userName, 
     promptTemplate,
-    useSeparateModel = false,
-    modelEndpoint = '',
-    apiKey = ''
+    modelOptions = {},
+    firstMessageId = null
 ) {
     try {
-        // Format the messages for the summary
-        const formattedMessages = messages.map(msg => {
-            const speaker = msg.is_user ? userName : characterName;
-            return `${speaker}: ${msg.mes}`;
-        }).join('\n');
+        // Format the messages for the summary, using each message's own speaker in group chats
+        const lines = messages.map((msg, index) => {
+            const speaker = msg.is_user ? userName : (msg.name || characterName);
+            const id = firstMessageId !== null ? `[#${firstMessageId + index}] ` : '';
+            return `${id}${speaker}: ${msg.mes}`;
+        });
         
         // Create the system message
-        const systemMessage = promptTemplate
+        const fillPrompt = count => promptTemplate
             .replace(/{{char}}/g, characterName)
             .replace(/{{user}}/g, userName)
-            .replace(/{{count}}/g, messages.length);
+            .replace(/{{count}}/g, count);
         
-        // Decide which method to use for summarization
-        if (useSeparateModel && modelEndpoint) {
-            return await callExternalModel(systemMessage, formattedMessages, modelEndpoint, apiKey);
-        } else {
-            return await callCurrentModel(systemMessage, formattedMessages);
+        const chunks = await splitIntoChunks(lines, modelOptions.chunkTokens, getTokenCounter(modelOptions));
+        
+        if (chunks.length === 1) {
+            return await generateText(fillPrompt(messages.length), chunks[0].join('\n'), modelOptions);
+        }
+        
+        console.log(`Memory Manager: Summarizing ${messages.length} messages in ${chunks.length} chunks`);
+        
+        const partials = [];
+        for (const chunk of chunks) {
+            partials.push(await generateText(fillPrompt(chunk.length), chunk.join('\n'), modelOptions));
         }
+        
+        return await reduceSummaries(partials, `${REDUCE_INSTRUCTION}\n\n${fillPrompt(messages.length)}`, modelOptions);
     } catch (error) {
         console.error('Memory Manager: Summarization error', error);
         throw error;
     }
 }
 
+/**
+ * Merge partial summaries into one, in rounds if they don't fit the chunk budget together
+ * @param {string[]} partials - Summaries of consecutive parts, in order
+ * @param {string} systemMessage - Merge instruction
+ * @param {import('./model-providers.js').ModelOptions} modelOptions - Which model to use and how
+ * @returns {Promise<string>} - Merged summary
+ */
+async function reduceSummaries(partials, systemMessage, modelOptions) {
+    let summaries = partials;
+    
+    while (summaries.length > 1) {
+        const groups = await splitIntoChunks(summaries, modelOptions.chunkTokens, getTokenCounter(modelOptions));
+        
+        // Nothing fits together, merging again would never finish
+        if (groups.length === summaries.length) {
+            return summaries.join('\n');
+        }
+        
+        const merged = [];
+        for (const group of groups) {
+            merged.push(group.length === 1 ? group[0] : await generateText(systemMessage, group.join('\n\n'), modelOptions));
+        }
+        summaries = merged;
+    }
+    
+    return summaries[0];
+}
+
+/**
+ * Split transcript lines into consecutive chunks that fit a token budget.
+ * A single line longer than the budget is split at sentence boundaries.
+ * @param {string[]} lines - Transcript lines
+ * @param {number} [tokenBudget] - Tokens per chunk, 0 or missing for one chunk
+ * @param {(text: string) => Promise<number>} [countTokens] - Token counter, see getTokenCounter
+ * @returns {Promise<string[][]>} - Chunks of lines
+ */
+export async function splitIntoChunks(lines, tokenBudget, countTokens = getTokenCountAsync) {
+    if (!tokenBudget || tokenBudget <= 0 || await countTokens(lines.join('\n')) <= tokenBudget) {
+        return [lines];
+    }
+    
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    
+    for (const line of lines) {
+        const lineTokens = await countTokens(line);
+        const pieces = lineTokens > tokenBudget ? await splitLongLine(line, tokenBudget, countTokens) : [{ text: line, tokens: lineTokens }];
+        
+        for (const piece of pieces) {
+            if (current.length > 0 && currentTokens + piece.tokens > tokenBudget) {
+                chunks.push(current);
+                current = [];
+                currentTokens = 0;
+            }
+            
+            current.push(piece.text);
+            currentTokens += piece.tokens;
+        }
+    }
+    
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+    
+    return chunks;
+}
+
+/**
+ * Split a line that is longer than the token budget at sentence boundaries
+ * @param {string} line - Transcript line
+ * @param {number} tokenBudget - Tokens per piece
+ * @param {(text: string) => Promise<number>} countTokens - Token counter
+ * @returns {Promise<{text: string, tokens: number}[]>} - Pieces with their token counts
+ */
+async function splitLongLine(line, tokenBudget, countTokens) {
+    const sentences = line.match(/[^.!?\n]+(?:[.!?]+|\n+|$)/g) || [line];
+    const pieces = [];
+    let text = '';
+    
+    // Every piece keeps the message ID, so it can still be cited
+    const idPrefix = line.match(/^\[#\d+\] /)?.[0] || '';
+    
+    for (const sentence of sentences) {
+        const candidate = text + sentence;
+        
+        if (text && await countTokens(candidate) > tokenBudget) {
+            pieces.push(text.trim());
+            text = idPrefix + sentence.trimStart();
+        } else {
+            text = candidate;
+        }
+    }
+    
+    if (text.trim()) {
+        pieces.push(text.trim());
+    }
+    
+    return Promise.all(pieces.map(async piece => ({ text: piece, tokens: await countTokens(piece) })));
+}
+
+/**
+ * Send an instruction and its input to the summarization model
+ * @param {string} systemMessage - System message for the model
+ * @param {string} userMessage - User message with the text to work on
+ * @param {import('./model-providers.js').ModelOptions} [modelOptions] - Which model to use and how
+ * @returns {Promise<string>} - Model response
+ */
+export async function generateText(systemMessage, userMessage, modelOptions = {}) {
+    modelOptions.signal?.throwIfAborted();
+    
+    // Decide which method to use for summarization
+    const response = modelOptions.useSeparateModel && modelOptions.endpoint
+        ? await callExternalModel(systemMessage, userMessage, modelOptions)
+        : await callCurrentModel(systemMessage, userMessage, modelOptions.signal);
+    
+    if (!response || !response.trim()) {
+        throw new Error('The summarization model returned an empty response');
+    }
+    
+    return response;
+}
+
 /**
  * Call the currently loaded model in SillyTavern
  * @param {string} systemMessage - System message for the model
  * @param {string} userMessage - User message containing the conversation
+ * @param {AbortSignal} [signal] - Stops the generation when aborted
  * @returns {Promise<string>} - Summarized chat
  */
-async function callCurrentModel(systemMessage, userMessage) {
+async function callCurrentModel(systemMessage, userMessage, signal) {
+    let onAbort;
+    
     try {
-        // Check if the ST API function exists
-        if (typeof generateQuietPrompt !== 'function') {
-            console.warn('Memory Manager: generateQuietPrompt not available, using fallback');
-            // Fallback: show a popup asking the user to summarize
-            const result = await callPopup(
-                `<h3>Memory Manager needs to summarize recent messages</h3>
-                <p>System Instruction: ${systemMessage}</p>
-                <p>Please summarize:</p>
-                <div style="max-height: 200px; overflow-y: auto; border: 1px solid #ccc; padding: 10px; margin-bottom: 10px;">${userMessage}</div>
-                <textarea id="summary_input" style="width: 100%; height: 100px;"></textarea>`,
-                'input'
-            );
-            return result || '';
-        }
-        
-        // Use SillyTavern's API to generate a summarization
-        const messages = [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-        ];
+        // Stop the generation when cancelled, and don't wait for it to wind down
+        const aborted = new Promise((resolve, reject) => {
+            onAbort = () => {
+                stopGeneration();
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
         
-        // Call the ST API (may vary depending on ST version)
-        const response = await generateQuietPrompt(messages, null, 2000);
-        return response.generation || '';
+        return await Promise.race([generateRaw({ prompt: userMessage, systemPrompt: systemMessage }), aborted]);
     } catch (error) {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+        
         console.error('Memory Manager: Error calling current model', error);
-        return '';
+        throw new Error(`Generation with the current model failed: ${error.message || error}`);
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
     }
 }
 
@@ -92,49 +240,12 @@ async function callCurrentModel(systemMessage, userMessage) {
  * Call an external model API for summarization
  * @param {string} systemMessage - System message for the model
  * @param {string} userMessage - User message containing the conversation
- * @param {string} modelEndpoint - API endpoint for the model
- * @param {string} apiKey - API key for authentication
+ * @param {import('./model-providers.js').ModelOptions} modelOptions - Provider, endpoint and sampling options
  * @returns {Promise<string>} - Summarized chat
  */
-async function callExternalModel(systemMessage, userMessage, modelEndpoint, apiKey) {
+async function callExternalModel(systemMessage, userMessage, modelOptions) {
     try {
-        // Create the request body
-        const requestBody = {
-            model: 'gpt-3.5-turbo', // Default model, can be overridden by the API
-            messages: [
-                { role: 'system', content: systemMessage },
-                { role: 'user', content: userMessage }
-            ],
-            max_tokens: 500,
-            temperature: 0.7
-        };
-        
-        // Make the API request
-        const response = await fetch(modelEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': apiKey ? `Bearer ${apiKey}` : undefined
-            },
-            body: JSON.stringify(requestBody)
-        });
-        
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        // Handle different API response formats
-        if (data.choices && data.choices.length > 0) {
-            if (data.choices[0].message) {
-                return data.choices[0].message.content;
-            } else if (data.choices[0].text) {
-                return data.choices[0].text;
-            }
-        }
-        
-        throw new Error('Unexpected API response format');
+        return await callProvider(systemMessage, userMessage, modelOptions);
     } catch (error) {
         console.error('Memory Manager: External model API error', error);
         throw error;
@@ -0,0 +1,119 @@
+/**
+ * Trigger Policies Module
+ * Decides whether the unsummarized messages of a chat are due for summarization, and why
+ */
+
+import { getTokenCountAsync } from '../../../tokenizers.js';
+
+/**
+ * @typedef {object} Trigger
+ * @property {'count'|'tokens'|'scene-break'} policy - Policy that fired
+ * @property {string} reason - Why the messages are due, for the notification and the log
+ * @property {number} [until] - Index of the last message to summarize, if not all of them
+ */
+
+/**
+ * Count the messages that count towards the message threshold
+ * @param {object[]} messages - Chat messages
+ * @param {'user'|'all'} mode - Count only the messages the user sent, or the character replies too
+ * @returns {number} - Number of counted messages
+ */
+export function countTriggerMessages(messages, mode) {
+    return messages.filter(msg => !msg.is_system && (mode === 'all' || msg.is_user)).length;
+}
+
+/**
+ * Read the scene break markers, one per line. Lines written as /pattern/flags are regular expressions,
+ * other lines are matched as text, ignoring case.
+ * @param {string} text - Markers, one per line
+ * @returns {RegExp[]} - Marker patterns, invalid ones are left out
+ */
+export function parseSceneBreakMarkers(text) {
+    return String(text ?? '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = /^\/(.+)\/([a-z]*)$/.exec(line);
+
+            try {
+                return match
+                    ? new RegExp(match[1], match[2].replace(/[gy]/g, ''))
+                    : new RegExp(line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            } catch (error) {
+                console.warn(`Memory Manager: Invalid scene break marker ${line}`, error);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Find the last message of a range that starts a new scene, such as a time skip or a change of location
+ * @param {object[]} chat - Messages of the chat
+ * @param {{start: number, end: number}} range - Inclusive range of unsummarized messages
+ * @param {RegExp[]} markers - Scene break patterns
+ * @returns {{index: number, marker: string}|null} - Index of the message and the text that marked the break, null if there is none.
+ * A break in the first message is ignored, there is no scene before it to summarize.
+ */
+export function findSceneBreak(chat, range, markers) {
+    for (let index = range.end; index > range.start; index--) {
+        const message = chat[index];
+
+        if (!message || message.is_system) {
+            continue;
+        }
+
+        for (const marker of markers) {
+            const match = marker.exec(message.mes);
+
+            if (match) {
+                return { index, marker: match[0] };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check the policies that fire on new messages: message count, token threshold and scene breaks
+ * @param {object[]} chat - Messages of the chat
+ * @param {{start: number, end: number}} range - Inclusive range of unsummarized messages
+ * @param {object} settings - Effective settings of the chat
+ * @returns {Promise<Trigger|null>} - First policy that fires, null if none does
+ */
+export async function findTrigger(chat, range, settings) {
+    const messages = chat.slice(range.start, range.end + 1);
+    const counted = countTriggerMessages(messages, settings.triggerCountMode);
+
+    if (counted >= settings.messagesBeforeSummarize) {
+        return {
+            policy: 'count',
+            reason: `${counted} ${settings.triggerCountMode === 'all' ? 'messages' : 'sent messages'} since the last update`,
+        };
+    }
+
+    if (settings.triggerOnSceneBreak) {
+        const sceneBreak = findSceneBreak(chat, range, parseSceneBreakMarkers(settings.sceneBreakMarkers));
+
+        if (sceneBreak) {
+            return {
+                policy: 'scene-break',
+                reason: `scene break at message #${sceneBreak.index} ("${sceneBreak.marker}")`,
+                until: sceneBreak.index - 1,
+            };
+        }
+    }
+
+    if (settings.triggerTokenThreshold > 0) {
+        const text = messages.filter(msg => !msg.is_system).map(msg => `${msg.name}: ${msg.mes}`).join('\n');
+        const tokens = await getTokenCountAsync(text);
+
+        if (tokens >= settings.triggerTokenThreshold) {
+            return { policy: 'tokens', reason: `${tokens} tokens of unsummarized messages` };
+        }
+    }
+
+    return null;
+}